@@ -7,17 +7,115 @@ import {
     addVariationAndGo,
     goBack,
     goForwardIfExists,
+    goForwardToChild,
+    sameMove,
     currentNode,
-    isExpectedMove,
     resetSessionToRoot,
+    countNodes,
+    deleteSubtreeAndGoParent,
+    deleteChildren,
+    moveVariation,
+    promoteVariation,
+    makeMainLine,
+    pathFromIndices,
+    pathFromMoves,
+    createHistory,
+    recordCommand,
+    undoCommand,
+    redoCommand,
+    addNodeCommand,
+    deletionCommand,
+    childOrderSnapshot,
+    reorderCommand,
+    serializeOpening,
+    movesOfPath,
     createOpening,
-    loadFromStorage,
-    saveToStorage,
+    createEmptyAppState,
     DEFAULT_STORAGE_KEY,
 } from "./src/tree.js";
+import {importPgnIntoTree, exportOpeningToPgn} from "./src/pgn.js";
+import {isUserNode, reviewNode, pickDueLine, countDue, endOfDay} from "./src/srs.js";
+import {
+    nodeWeight,
+    hintShapes,
+    MAX_HINT_LEVEL,
+    handleTrainingMove,
+    createTrainingSession,
+    planCardLine,
+    startCard,
+    recordCardError,
+    updateCardLine,
+    recordCardHint,
+    finishCard,
+    summarizeSession,
+} from "./src/training.js";
+import {
+    logAttempt,
+    accuracyByDay,
+    mostMissedPositions,
+    recentMistakeNodes,
+    pickMistakeLine,
+    RECENT_MISTAKE_DAYS,
+} from "./src/stats.js";
+import {
+    buildPositionIndex,
+    findTranspositions,
+    goForwardOrTranspose,
+    pathToSans,
+    openingStartFen,
+    sideToMove,
+    STANDARD_START_FEN,
+} from "./src/positions.js";
+import {nagSymbol, setComment, setShapes, toggleNag} from "./src/annotations.js";
+import {buildMoveListHtml} from "./src/moveList.js";
+import {exportBackup, parseBackup, applyBackup} from "./src/backup.js";
+import {
+    openIndexedDbAdapter,
+    createLocalStorageAdapter,
+    createMemoryAdapter,
+    loadFromAdapter,
+    createStateWriter,
+    applyRemoteChanges,
+} from "./src/storage.js";
+import {lichessAnalysisUrlFromFen, moveToUci} from "./src/core.js";
+import {
+    createUciEngine,
+    createWorkerTransport,
+    whiteScore,
+    formatScore,
+    evalBarPercent,
+    pvText,
+} from "./src/engine.js";
+import {checkOpening, DEFAULT_CHECK_DEPTH, DEFAULT_BLUNDER_THRESHOLD} from "./src/blunderCheck.js";
+import {reviewGames, commonHoles} from "./src/gameReview.js";
+import {
+    EXPLORER_RECORD_KEY,
+    DEFAULT_GAP_SHARE,
+    createExplorerIndex,
+    normalizeExplorerIndex,
+    addGamesToExplorer,
+    explorerMoves,
+    positionGames,
+    findRepertoireGaps,
+} from "./src/explorer.js";
 
 // -------------------- DOM --------------------
 const pgnLineEl = document.getElementById("pgn-line");
+const transpositionsEl = document.getElementById("transpositions");
+const storageNotice = document.getElementById("storageNotice");
+const storageNoticeText = document.getElementById("storageNoticeText");
+const storageNoticeCloseBtn = document.getElementById("storageNoticeCloseBtn");
+const conflictNotice = document.getElementById("conflictNotice");
+const conflictNoticeText = document.getElementById("conflictNoticeText");
+const keepMineBtn = document.getElementById("keepMineBtn");
+const loadTheirsBtn = document.getElementById("loadTheirsBtn");
+const variationPickerEl = document.getElementById("variationPicker");
+
+const variationTools = document.getElementById("variationTools");
+const mainLineBtn = document.getElementById("mainLineBtn");
+const promoteBtn = document.getElementById("promoteBtn");
+const variationUpBtn = document.getElementById("variationUpBtn");
+const variationDownBtn = document.getElementById("variationDownBtn");
 
 const boardEl = document.getElementById("board");
 
@@ -26,10 +124,38 @@ const trainBtn = document.getElementById("trainBtn");
 
 const undoBtn = document.getElementById("undoBtn");
 const redoBtn = document.getElementById("redoBtn");
+const hintBtn = document.getElementById("hintBtn");
+const trainingStatus = document.getElementById("trainingStatus");
+const sessionSummaryDialog = document.getElementById("sessionSummaryDialog");
+const sessionSummaryText = document.getElementById("sessionSummaryText");
+const sessionReviewList = document.getElementById("sessionReviewList");
+const newSessionBtn = document.getElementById("newSessionBtn");
+const closeSessionSummaryBtn = document.getElementById("closeSessionSummaryBtn");
 const flipBtn = document.getElementById("flipBtn");
 const lichessBtn = document.getElementById("lichessBtn");
+const engineBtn = document.getElementById("engineBtn");
+const enginePanel = document.getElementById("enginePanel");
+const evalBarFill = document.getElementById("evalBarFill");
+const engineScore = document.getElementById("engineScore");
+const engineLine = document.getElementById("engineLine");
+const explorerBtn = document.getElementById("explorerBtn");
+const explorerPanel = document.getElementById("explorerPanel");
+const explorerStatus = document.getElementById("explorerStatus");
+const explorerList = document.getElementById("explorerList");
 const menuBtn = document.getElementById("menuBtn");
 
+const annotationPanel = document.getElementById("annotationPanel");
+const nagButtons = document.getElementById("nagButtons");
+const commentInput = document.getElementById("commentInput");
+const commentView = document.getElementById("commentView");
+
+const editActions = document.getElementById("editActions");
+const trainFromHereBtn = document.getElementById("trainFromHereBtn");
+const deleteMoveBtn = document.getElementById("deleteMoveBtn");
+const deleteAfterBtn = document.getElementById("deleteAfterBtn");
+const undoEditBtn = document.getElementById("undoEditBtn");
+const redoEditBtn = document.getElementById("redoEditBtn");
+
 const backdrop = document.getElementById("overlayBackdrop");
 const overlay = document.getElementById("openingsOverlay");
 const closeOverlayBtn = document.getElementById("closeOverlayBtn");
@@ -42,14 +168,89 @@ const openingNameInput = document.getElementById("openingNameInput");
 
 const trainAsWhiteBtn = document.getElementById("trainAsWhiteBtn");
 const trainAsBlackBtn = document.getElementById("trainAsBlackBtn");
+const opponentPolicySelect = document.getElementById("opponentPolicySelect");
+const startFenField = document.getElementById("startFenField");
+const startFenInput = document.getElementById("startFenInput");
+const useCurrentFenBtn = document.getElementById("useCurrentFenBtn");
+const openingDialogError = document.getElementById("openingDialogError");
+
+const nodeWeightRow = document.getElementById("nodeWeightRow");
+const nodeWeightInput = document.getElementById("nodeWeightInput");
 
 const dialogOkBtn = document.getElementById("dialogOkBtn");
 const dialogCancelBtn = document.getElementById("dialogCancelBtn");
 const closeDialogBtn = document.getElementById("closeDialogBtn");
 
+const pgnDialog = document.getElementById("pgnDialog");
+const pgnInput = document.getElementById("pgnInput");
+const pgnFileInput = document.getElementById("pgnFileInput");
+const pgnImportReport = document.getElementById("pgnImportReport");
+const pgnImportBtn = document.getElementById("pgnImportBtn");
+const pgnCancelBtn = document.getElementById("pgnCancelBtn");
+const closePgnDialogBtn = document.getElementById("closePgnDialogBtn");
+
+const exportAllBtn = document.getElementById("exportAllBtn");
+const importBackupBtn = document.getElementById("importBackupBtn");
+const backupDialog = document.getElementById("backupDialog");
+const statsDialog = document.getElementById("statsDialog");
+const statsDialogTitle = document.getElementById("statsDialogTitle");
+const statsSummary = document.getElementById("statsSummary");
+const accuracyList = document.getElementById("accuracyList");
+const missedList = document.getElementById("missedList");
+const drillMistakesBtn = document.getElementById("drillMistakesBtn");
+const closeStatsDialogBtn = document.getElementById("closeStatsDialogBtn");
+const blunderDialog = document.getElementById("blunderDialog");
+const blunderDialogTitle = document.getElementById("blunderDialogTitle");
+const blunderDepthInput = document.getElementById("blunderDepthInput");
+const blunderThresholdInput = document.getElementById("blunderThresholdInput");
+const blunderProgress = document.getElementById("blunderProgress");
+const blunderReport = document.getElementById("blunderReport");
+const blunderStartBtn = document.getElementById("blunderStartBtn");
+const blunderCancelBtn = document.getElementById("blunderCancelBtn");
+const closeBlunderDialogBtn = document.getElementById("closeBlunderDialogBtn");
+const gamesBtn = document.getElementById("gamesBtn");
+const gamesDialog = document.getElementById("gamesDialog");
+const gamesPlayerInput = document.getElementById("gamesPlayerInput");
+const gamesFileInput = document.getElementById("gamesFileInput");
+const gamesSummary = document.getElementById("gamesSummary");
+const gamesHoles = document.getElementById("gamesHoles");
+const gamesList = document.getElementById("gamesList");
+const gamesReviewBtn = document.getElementById("gamesReviewBtn");
+const gamesCancelBtn = document.getElementById("gamesCancelBtn");
+const closeGamesDialogBtn = document.getElementById("closeGamesDialogBtn");
+const explorerDbBtn = document.getElementById("explorerDbBtn");
+const explorerDbDialog = document.getElementById("explorerDbDialog");
+const explorerDbStatus = document.getElementById("explorerDbStatus");
+const explorerDbFileInput = document.getElementById("explorerDbFileInput");
+const explorerDbReport = document.getElementById("explorerDbReport");
+const explorerDbClearBtn = document.getElementById("explorerDbClearBtn");
+const explorerDbCloseBtn = document.getElementById("explorerDbCloseBtn");
+const closeExplorerDbDialogBtn = document.getElementById("closeExplorerDbDialogBtn");
+const gapsDialog = document.getElementById("gapsDialog");
+const gapsDialogTitle = document.getElementById("gapsDialogTitle");
+const gapsShareInput = document.getElementById("gapsShareInput");
+const gapsLeavesInput = document.getElementById("gapsLeavesInput");
+const gapsSummary = document.getElementById("gapsSummary");
+const gapsList = document.getElementById("gapsList");
+const closeGapsDialogBtn = document.getElementById("closeGapsDialogBtn");
+const backupFileInput = document.getElementById("backupFileInput");
+const backupModeSelect = document.getElementById("backupModeSelect");
+const backupReport = document.getElementById("backupReport");
+const backupImportBtn = document.getElementById("backupImportBtn");
+const backupCancelBtn = document.getElementById("backupCancelBtn");
+const closeBackupDialogBtn = document.getElementById("closeBackupDialogBtn");
+
 
 // -------------------- App state --------------------
-let appState = initAppState(localStorage);
+// loaded asynchronously in boot(); writes go through stateWriter (only changed openings)
+let appState = createEmptyAppState();
+let storageAdapter = null;
+let stateWriter = null;
+
+// other tabs announce written/removed openings here: { ids, removed }
+let syncChannel = null;
+// openings changed in another tab while this tab has unsaved edits of them
+let conflictIds = new Set();
 
 let mode = "edit"; // "edit" | "train" (train is stub for now)
 let orientation = "white";
@@ -60,9 +261,49 @@ let ground = null;
 // Tree session is the truth for the "current line"
 let treeSession = createTreeSession(createRoot());
 
-// redo stack stores nodes we popped (navigation only)
+// redo stack stores moves we popped (navigation only); used as preferred way forward
 let redoStack = [];
 
+// open variation picker at a fork: { node, index } (index = highlighted child)
+let variationPick = null;
+
+// undo/redo of changes (moves entered, deletions, reorders, renames, imports), kept per tab session
+const EDIT_HISTORY_KEY = "blunderlab.editHistory";
+let editHistory = createHistory();
+
+// Position index (normalized FEN -> nodes) of the active tree, rebuilt lazily after edits
+let positionIndex = null;
+let positionIndexRoot = null;
+
+// Training: scheduled line (nodes below root) and nodes already failed while drilling it
+let trainingLine = [];
+let trainingMissed = new Set();
+// last correctly guessed node: its annotations are revealed until the next answer
+let trainingRevealed = null;
+// when the current question was shown (time to answer in the training log)
+let trainingAskedAt = 0;
+// hints shown for the current question (0..MAX_HINT_LEVEL)
+let trainingHintLevel = 0;
+// line cards of the running session (createTrainingSession); result of the card just finished
+let trainingSession = null;
+let trainingCardResult = null;  // true | false | null
+let nextCardTimer = null;
+const NEXT_CARD_DELAY_MS = 900;
+// "drill my mistakes": recently failed nodes the scheduled lines must contain (null = all lines)
+let mistakeTargets = null;
+// "train from here": { openingId, moves } of the node whose subtree is drilled (null = whole tree)
+let trainingScope = null;
+
+// Local engine: the single-threaded Stockfish WASM build of the "stockfish" package, copied to
+// public/engine/ (stockfish.js + .wasm) by scripts/copy-engine.js before dev and build. It runs
+// in a Web Worker, started on first use. On/off per mode; train mode starts off (no spoilers).
+const ENGINE_WORKER_URL = `${import.meta.env.BASE_URL}engine/stockfish.js`;
+const ENGINE_DEPTH = 18;
+let engine = null;
+let engineOn = {edit: false, train: false};
+let engineFen = null;       // position of the running analysis
+let engineFailed = false;
+
 // Promotion UI state
 let promoPick = null;      // { from, to, squares: [..] }
 let promoCustom = new Map();
@@ -73,25 +314,82 @@ let dialogTrainAs = "white";
 let dialogMode = "create";   // "create" | "rename"
 let dialogTargetId = null;   // opening id
 
+let pgnTargetId = null;      // opening id for PGN import
+let pendingBackup = null;    // parseBackup result of the chosen backup file
+let statsTargetId = null;    // opening id shown in the stats dialog
+let blunderTargetId = null;  // opening id of the blunder check dialog
+let blunderRun = null;       // running check: { controller, engine }
+let gapsTargetId = null;     // opening id of the gap report
+
+// local game database for the explorer (see explorer.js), stored as its own value record
+let explorerIndex = createExplorerIndex();
+let explorerOn = false;     // explorer panel (edit mode only: it would give answers away in training)
+
 
 // -------------------- Init --------------------
-initGround();
-wireUi();
+boot().catch((e) => {
+    console.error("Start failed:", e);
+    showStorageNotice(`BlunderLab konnte nicht gestartet werden (${e.message}).`);
+});
+
+async function boot() {
+    appState = await initAppState();
+    explorerIndex = await loadExplorerIndex();
+    editHistory = loadEditHistory();
+
+    initGround();
+    wireUi();
 
-renderModeButtons();
+    renderModeButtons();
+
+    selectOpening(appState.activeOpeningId);
 
-selectOpening(appState.activeOpeningId);
+    if (typeof BroadcastChannel !== "undefined") {
+        syncChannel = new BroadcastChannel("blunderlab.sync");
+        syncChannel.addEventListener("message", (e) => onRemoteChange(e.data));
+    }
+}
 
 // Appstate laden, ggf. Erststart-Setup durchführen (z.B. Demo-Opening anlegen, active id fixen)
-function initAppState(storage) {
-    let state = loadFromStorage(storage, DEFAULT_STORAGE_KEY);
+async function initAppState() {
+    let adapter;
+    let loaded;
+    try {
+        try {
+            adapter = await openIndexedDbAdapter();
+        } catch {
+            // IndexedDB blocked (some private modes): one localStorage key per opening instead
+            adapter = createLocalStorageAdapter(localStorage);
+        }
+        loaded = await loadFromAdapter(adapter, {legacyStorage: localStorage, legacyKey: DEFAULT_STORAGE_KEY});
+    } catch (e) {
+        // no usable storage at all (e.g. localStorage denied)
+        loaded = {ok: false, reason: "unreadable", error: e.message, state: createEmptyAppState()};
+    }
+
+    if (!loaded.ok) {
+        // keep the stored data untouched: this session runs in memory and saves nothing
+        const problem = loaded.reason === "backup-failed"
+            ? `Die Sicherung vor dem Update der gespeicherten Eröffnungen ist fehlgeschlagen (${loaded.error}).`
+            : `Gespeicherte Eröffnungen konnten nicht geladen werden (${loaded.error}).`;
+        showStorageNotice(
+            `${problem} Die alten Daten bleiben unverändert, Änderungen in dieser Sitzung werden nicht gespeichert.`,
+        );
+        adapter = createMemoryAdapter();
+    } else if (loaded.errors.length > 0) {
+        const names = loaded.errors.map((e) => e.name ?? e.id ?? "?").join(", ");
+        showStorageNotice(`Nicht lesbare Eröffnungen wurden übersprungen und bleiben unverändert gespeichert: ${names}`);
+    }
+
+    const state = loaded.state;
+    storageAdapter = adapter;
+    stateWriter = createStateWriter(adapter, state, loaded.revisions);
 
     // Erststart: mindestens eine Opening
     if (state.openings.length === 0) {
         state.openings.push(createOpening({name: "Italienisch", trainAs: "white"}));
         state.openings.push(createOpening({name: "Caro-Kann", trainAs: "black"}));
         state.activeOpeningId = state.openings[0].id;
-        saveToStorage(state, storage, DEFAULT_STORAGE_KEY);
     }
 
     // active id reparieren
@@ -99,15 +397,19 @@ function initAppState(storage) {
         state.activeOpeningId &&
         state.openings.some((o) => o.id === state.activeOpeningId);
 
-    if (!activeIsValid) {
-        state.activeOpeningId = state.openings[0]?.id ?? null;
-        saveToStorage(state, storage, DEFAULT_STORAGE_KEY);
-    }
+    if (!activeIsValid) state.activeOpeningId = state.openings[0]?.id ?? null;
 
     return state;
 }
 
 
+// storage problem above the board (load or save failure), null hides it
+function showStorageNotice(message) {
+    storageNoticeText.textContent = message ?? "";
+    storageNotice.classList.toggle("hidden", !message);
+}
+
+
 // -------------------- Chessground init --------------------
 function initGround() {
     ground = Chessground(boardEl, {
@@ -121,6 +423,11 @@ function initGround() {
             dests: calcDests(game),
             events: boardUserMoveEvents,
         },
+        drawable: {
+            enabled: true,
+            eraseOnClick: false, // clicks move pieces; arrows are toggled by drawing them again
+            onChange: onShapesDrawn,
+        },
         events: {
             select: onBoardSelect,
         },
@@ -163,19 +470,24 @@ function applyEditMove(mv) {
         return;
     }
 
-    addMoveToTree(legalMove);
-    persistAppState();
+    if (addMoveToTree(legalMove)) persistActiveOpening();
+    else persistAppState();
     clearRedoHistory();
     syncUi();
 }
 
 function addMoveToTree(mv) {
-    addVariationAndGo(treeSession, {
+    const res = addVariationAndGo(treeSession, {
         from: mv.from,
         to: mv.to,
         promotion: mv.promotion,
     });
+    if (res.created) {
+        invalidatePositionIndex();
+        recordEdit(addNodeCommand(appState.activeOpeningId, treeSession));
+    }
     console.log("children of active root:", appState.openings.find(o => o.id === appState.activeOpeningId).root.children.length);
+    return res.created;
 }
 
 function clearRedoHistory() {
@@ -183,17 +495,227 @@ function clearRedoHistory() {
 }
 
 function applyTrainingMove(moveKey) {
-    const ok = isExpectedMove(treeSession, moveKey);
-    if (ok) goForwardIfExists(treeSession, moveKey);
-    else flashWrong();
+    const opening = getActiveOpening();
+    if (!opening || !trainingSession?.current) return;
+
+    const depth = treeSession.path.length - 1;
+    const expected = trainingLine[depth] ?? null;
+    const line = movesOfPath(treeSession.path);
+
+    // the card's line decides first; it also plays the opponent's planned reply
+    let node = handleTrainingMove({
+        fullLine: trainingLine.map((n) => n.move),
+        viewPly: depth,
+        studyColor: opening.trainAs,
+        firstToMove: firstToMoveOf(opening),
+        makeMove: () => null, // cards never extend the repertoire
+        setGameToPly: setCardPly,
+    }, moveKey) ? expected : null;
+    if (node && treeSession.path[depth + 2]) treeSession.path[depth + 2].lastTrained = Date.now();
+
+    // another prepared move or a transposition into prepared territory counts as correct too
+    if (!node) {
+        const res = goForwardOrTranspose(treeSession, getPositionIndex(), game.fen(), moveKey, {
+            within: trainingScopeNode(opening),
+        });
+        if (res.ok) {
+            node = res.node;
+            scheduleLineFrom(opening);
+        }
+    }
+
+    logAttempt(opening, {
+        line,
+        expected: expected?.move ?? null,
+        played: moveKey,
+        correct: !!node,
+        hints: trainingHintLevel,
+        ms: Date.now() - trainingAskedAt,
+    });
+    trainingAskedAt = Date.now();
+
+    if (!node) {
+        recordCardError(trainingSession, depth, moveKey);
+        // grade a miss only once per node and line
+        if (expected && !trainingMissed.has(expected)) {
+            trainingMissed.add(expected);
+            reviewNode(expected, "again");
+        }
+        persistActiveOpening();
+        flashWrong();
+        resetPositionFromSession();
+        return;
+    }
+
+    // a hinted answer is only partially right
+    if (!trainingMissed.has(node)) reviewNode(node, trainingHintLevel > 0 ? "hard" : "good");
+    trainingRevealed = node;
+    trainingHintLevel = 0;
 
+    autoPlayOpponentMoves(opening);
+    persistActiveOpening();
     resetPositionFromSession();
+    trainingAskedAt = Date.now();
+
+    if (currentNode(treeSession).children.length === 0) completeCard();
 }
 
 /* ---------------- training helpers ---------------- */
+// a training session is a series of line cards (root -> leaf), see training.js
 function startTraining() {
+    clearTimeout(nextCardTimer);
+    trainingSession = createTrainingSession();
+
+    const opening = getActiveOpening();
+    if (opening && mistakeTargets) {
+        mistakeTargets = recentMistakeNodes(opening.root, opening.trainingLog);
+        if (mistakeTargets.size === 0) {
+            mistakeTargets = null;
+            showStorageNotice(`Keine offenen Fehler der letzten ${RECENT_MISTAKE_DAYS} Tage – normales Training.`);
+        }
+    }
+
+    startNextCard();
+}
+
+function startNextCard() {
+    if (mode !== "train") return;
+
     resetSessionToRoot(treeSession);
+    trainingMissed = new Set();
+    trainingRevealed = null;
+    trainingHintLevel = 0;
+    trainingCardResult = null;
+
+    const opening = getActiveOpening();
+
+    // subtree drill: auto-play the way to the chosen node, everything below is scheduled from there
+    const scopeNode = trainingScopeNode(opening);
+    if (scopeNode) treeSession.path = pathFromMoves(opening.root, trainingScope.moves);
+    else trainingScope = null;
+
+    // after the first card, stop once nothing is left to drill
+    if (opening && trainingSession.cards.length > 0 && !hasLineToDrill(opening)) {
+        finishTrainingSession();
+        return;
+    }
+
+    if (opening) {
+        scheduleLineFrom(opening);
+        startCard(trainingSession, trainingLine.map((n) => n.move));
+        autoPlayOpponentMoves(opening);
+    }
+
     resetPositionFromSession();
+    trainingAskedAt = Date.now();
+
+    // a line may end with an opponent move: nothing to answer
+    if (opening && currentNode(treeSession).children.length === 0) completeCard();
+}
+
+function hasLineToDrill(opening) {
+    const depth = treeSession.path.length - 1;
+    const node = currentNode(treeSession);
+    const now = Date.now();
+
+    if (mistakeTargets) return !!pickMistakeLine(node, depth, mistakeTargets, opening.trainAs, now, firstToMoveOf(opening));
+    return (pickDueLine(node, depth, opening.trainAs, now, firstToMoveOf(opening))?.dueCount ?? 0) > 0;
+}
+
+function completeCard() {
+    const res = finishCard(trainingSession);
+    if (!res) return;
+
+    trainingCardResult = res.success;
+    if (mistakeTargets) {
+        for (const n of trainingLine) if (!trainingMissed.has(n)) mistakeTargets.delete(n);
+    }
+    syncUi();
+
+    nextCardTimer = setTimeout(res.sessionOver ? finishTrainingSession : startNextCard, NEXT_CARD_DELAY_MS);
+}
+
+function finishTrainingSession() {
+    if (mode !== "train") return;
+
+    trainingCardResult = null;
+    syncUi();
+    openSessionSummary(summarizeSession(trainingSession));
+}
+
+// handleTrainingMove works on ply numbers of the card; ply = depth in the tree
+function setCardPly(ply) {
+    treeSession.path = [treeSession.root, ...trainingLine.slice(0, ply)];
+}
+
+// scheduled move the trainee has to find now, or null (opponent to move, line finished)
+function expectedTrainingNode() {
+    const opening = getActiveOpening();
+    const depth = treeSession.path.length - 1;
+    if (!opening || !isUserNode(depth + 1, opening.trainAs, firstToMoveOf(opening))) return null;
+
+    return trainingLine[depth] ?? null;
+}
+
+function showNextHint() {
+    if (mode !== "train" || promoPick || !expectedTrainingNode()) return;
+    if (trainingHintLevel >= MAX_HINT_LEVEL) return;
+
+    trainingHintLevel++;
+    recordCardHint(trainingSession);
+    syncUi();
+}
+
+// the card's line: the way so far plus a planned continuation to a leaf
+function scheduleLineFrom(opening) {
+    const firstToMove = firstToMoveOf(opening);
+    const now = Date.now();
+
+    // drilling mistakes: stay on lines through failed nodes while there are any below
+    const preferredLine = (node, depth) =>
+        ((mistakeTargets && pickMistakeLine(node, depth, mistakeTargets, opening.trainAs, now, firstToMove))
+            || pickDueLine(node, depth, opening.trainAs, now, firstToMove))?.nodes ?? [];
+
+    const rest = planCardLine(currentNode(treeSession), treeSession.path.length - 1, {
+        isUserDepth: (depth) => isUserNode(depth, opening.trainAs, firstToMove),
+        preferredLine,
+        policy: opening.opponentPolicy,
+    });
+    trainingLine = treeSession.path.slice(1).concat(rest);
+    if (trainingSession) updateCardLine(trainingSession, trainingLine.map((n) => n.move));
+}
+
+function autoPlayOpponentMoves(opening) {
+    for (;;) {
+        const depth = treeSession.path.length - 1;
+        const next = trainingLine[depth] ?? null;
+        if (!next || isUserNode(depth + 1, opening.trainAs, firstToMoveOf(opening))) return;
+
+        const res = goForwardIfExists(treeSession, next.move);
+        if (!res.ok) return;
+
+        next.lastTrained = Date.now();
+    }
+}
+
+// node the training is confined to, or null (no scope, other opening, or node deleted meanwhile)
+function trainingScopeNode(opening) {
+    if (!opening || trainingScope?.openingId !== opening.id) return null;
+
+    const path = pathFromMoves(opening.root, trainingScope.moves);
+    return path.length === trainingScope.moves.length + 1 ? path[path.length - 1] : null;
+}
+
+function trainFromHere() {
+    if (mode !== "edit" || promoPick) return;
+
+    trainingScope = {openingId: appState.activeOpeningId, moves: movesOfPath(treeSession.path)};
+    setMode("train");
+}
+
+// side to move at the root of an opening (custom FEN openings may start with black)
+function firstToMoveOf(opening) {
+    return sideToMove(openingStartFen(opening));
 }
 
 function flashWrong() {
@@ -209,6 +731,130 @@ function resetPositionFromSession() {
     syncUi();
 }
 
+/* ---------------- deletion (edit mode) ---------------- */
+function deleteCurrentSubtree() {
+    if (mode !== "edit" || promoPick) return;
+
+    const cur = currentNode(treeSession);
+    if (cur === treeSession.root) return;
+
+    const count = countNodes(cur);
+    if (!confirm(`Diesen Zug und alle Fortsetzungen löschen (${count} Züge)?`)) return;
+
+    applyDeletion(deleteSubtreeAndGoParent(treeSession));
+}
+
+function deleteAfterCurrent() {
+    if (mode !== "edit" || promoPick) return;
+
+    const cur = currentNode(treeSession);
+    if (cur.children.length === 0) return;
+
+    const count = countNodes(cur) - 1;
+    if (!confirm(`Alles nach diesem Zug löschen (${count} Züge)?`)) return;
+
+    applyDeletion(deleteChildren(treeSession));
+}
+
+function applyDeletion(res) {
+    if (!res.ok) return;
+
+    recordEdit(deletionCommand(appState.activeOpeningId, res.undo, treeSession));
+    afterTreeStructureChange();
+}
+
+/* ---------------- variation order (edit mode) ---------------- */
+function reorderVariation(op) {
+    if (mode !== "edit" || promoPick) return;
+
+    const before = childOrderSnapshot(treeSession);
+    const res = op(treeSession);
+    if (!res.ok) return;
+
+    const moves = getSessionMoves(treeSession);
+    recordEdit(reorderCommand(appState.activeOpeningId, before, childOrderSnapshot(treeSession), {
+        before: moves,
+        after: moves,
+    }));
+
+    invalidatePositionIndex();
+    persistActiveOpening();
+    syncUi();
+}
+
+/* ---------------- edit history (Ctrl+Z / Ctrl+Shift+Z) ---------------- */
+function recordEdit(command) {
+    recordCommand(editHistory, command);
+    saveEditHistory();
+    updateUndoRedoState();
+}
+
+function undoEdit() {
+    applyEditHistoryStep(undoCommand);
+}
+
+function redoEdit() {
+    applyEditHistoryStep(redoCommand);
+}
+
+// edit mode only: in training it would change the tree in the middle of a card
+function applyEditHistoryStep(stepFn) {
+    if (promoPick || mode !== "edit") return;
+
+    const res = stepFn(editHistory, appState);
+    saveEditHistory();
+    if (!res.ok) {
+        updateUndoRedoState();
+        return;
+    }
+    persistAppState({changed: res.command.openingId ? [res.command.openingId] : []});
+
+    // tree changes jump to where they happened; others keep the current opening and position
+    const moves = res.focus?.moves ?? getSessionMoves(treeSession);
+    const targetId = res.focus?.moves ? res.focus.openingId : appState.activeOpeningId;
+    const id = appState.openings.some((o) => o.id === targetId) ? targetId : appState.openings[0]?.id;
+
+    invalidatePositionIndex();
+    selectOpening(id);
+
+    treeSession.path = pathFromMoves(treeSession.root, moves);
+    clearRedoHistory();
+    persistAppState();
+    resetPositionFromSession();
+}
+
+function loadEditHistory() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(EDIT_HISTORY_KEY) ?? "null");
+        if (Array.isArray(saved?.undo) && Array.isArray(saved?.redo)) return saved;
+    } catch {
+        // unreadable: start fresh
+    }
+    return createHistory();
+}
+
+// imports store whole trees: on a full sessionStorage the oldest entries are dropped until it fits
+function saveEditHistory() {
+    for (;;) {
+        try {
+            sessionStorage.setItem(EDIT_HISTORY_KEY, JSON.stringify(editHistory));
+            return;
+        } catch (e) {
+            if (e?.name !== "QuotaExceededError") return; // no sessionStorage: history lives in this page only
+            if (editHistory.undo.length > 0) editHistory.undo.shift();
+            else if (editHistory.redo.length > 0) editHistory.redo.shift();
+            else return;
+        }
+    }
+}
+
+function afterTreeStructureChange() {
+    invalidatePositionIndex();
+    clearRedoHistory();
+    persistActiveOpening();
+    resetPositionFromSession();
+}
+
 /* -------------------- Board select handling (for promotion) -------------------- */
 
 function onBoardSelect(key) {
@@ -232,11 +878,7 @@ function onBoardSelect(key) {
         return;
     }
 
-    addVariationAndGo(treeSession, {
-        from: mv.from,
-        to: mv.to,
-        promotion: mv.promotion,
-    });
+    if (addMoveToTree(mv)) persistActiveOpening();
 
     redoStack = [];
     syncUi();
@@ -268,22 +910,106 @@ function undo() {
 }
 
 
+// Forward: remembered move (after ←) or main line; at a fork show the variation picker first.
+// Train mode only retraces moves undone with ←: the prepared moves stay hidden until answered.
 function redo() {
     if (promoPick) return;
 
-    const mv = redoStack.pop();
-    if (!mv) return;
+    const cur = currentNode(treeSession);
+    if (cur.children.length === 0) return;
+
+    if (mode === "train") {
+        const remembered = redoStack[redoStack.length - 1];
+        const index = remembered ? cur.children.findIndex((c) => sameMove(c.move, remembered)) : -1;
+        if (index !== -1) followChild(index);
+        return;
+    }
+
+    if (variationPick) {
+        followChild(variationPick.index);
+        return;
+    }
+
+    const index = preferredForwardIndex(cur);
+    if (cur.children.length > 1) {
+        variationPick = {node: cur, index};
+        syncVariationPicker();
+        return;
+    }
+
+    followChild(index);
+}
+
+function preferredForwardIndex(node) {
+    const remembered = redoStack[redoStack.length - 1];
+    const index = remembered ? node.children.findIndex((c) => sameMove(c.move, remembered)) : -1;
+    return index === -1 ? 0 : index;
+}
+
+function followChild(index) {
+    variationPick = null;
 
-    const res = goForwardIfExists(treeSession, mv);
+    const res = goForwardToChild(treeSession, index);
     if (!res.ok) return;
 
+    // still retracing what ← undid? otherwise the remembered moves are stale
+    const remembered = redoStack[redoStack.length - 1];
+    if (remembered && sameMove(remembered, res.node.move)) redoStack.pop();
+    else clearRedoHistory();
+
     replaySessionToGame();
     syncUi();
 }
 
+function moveVariationPick(delta) {
+    if (!variationPick) return false;
+
+    const count = variationPick.node.children.length;
+    variationPick.index = (variationPick.index + delta + count) % count;
+    syncVariationPicker();
+    return true;
+}
+
+function closeVariationPicker() {
+    if (!variationPick) return false;
+
+    variationPick = null;
+    syncVariationPicker();
+    return true;
+}
+
+function syncVariationPicker() {
+    if (!variationPickerEl) return;
+
+    // picker belongs to one node in edit mode: any other navigation closes it
+    if (variationPick && (mode !== "edit" || variationPick.node !== currentNode(treeSession))) variationPick = null;
+
+    variationPickerEl.classList.toggle("hidden", !variationPick);
+    variationPickerEl.innerHTML = "";
+    if (!variationPick) return;
+
+    variationPick.node.children.forEach((child, i) => {
+        const li = document.createElement("li");
+        li.setAttribute("role", "option");
+        li.setAttribute("aria-selected", String(i === variationPick.index));
+        li.className = i === variationPick.index ? "selected" : "";
+        li.textContent = sanFromCurrentPosition(child.move) ?? `${child.move.from}-${child.move.to}`;
+        li.addEventListener("click", () => followChild(i));
+        variationPickerEl.appendChild(li);
+    });
+}
+
+function sanFromCurrentPosition(move) {
+    try {
+        return new Chess(game.fen()).move(move).san;
+    } catch {
+        return null;
+    }
+}
+
 // -------------------- Replay (Tree -> Game/UI) --------------------
 function replaySessionToGame() {
-    game = new Chess();
+    game = new Chess(openingStartFen(getActiveOpening()));
     for (const mv of getSessionMoves(treeSession)) {
         const ok = game.move(mv);
         if (!ok) {
@@ -308,34 +1034,53 @@ function syncUi() {
     syncTextOnly();
     updateUndoRedoState();
     renderModeButtons();
+    syncNodeWeightRow();
+    syncVariationPicker();
+    syncEngine();
+    syncExplorerPanel();
     logTree();
 }
 
-function scrollPgnLineToEnd() {
+function scrollActiveMoveIntoView() {
     requestAnimationFrame(() => {
-        pgnLineEl.scrollLeft = pgnLineEl.scrollWidth;
+        pgnLineEl.querySelector(".mv.active")?.scrollIntoView({block: "nearest", inline: "nearest"});
     });
 }
 
+// Move list: whole tree in edit mode, only the played path in train mode (no spoilers)
 function syncPgnLine() {
     if (!pgnLineEl) return;
 
-    const moves = game.history(); // SAN
-    pgnLineEl.textContent = moves.length
-        ? movesToInlineText(moves)
-        : "";
+    pgnLineEl.innerHTML = buildMoveListHtml(treeSession.root, treeSession.path, {
+        onlyPath: mode === "train",
+        startFen: openingStartFen(getActiveOpening()),
+    });
+    scrollActiveMoveIntoView();
+}
+
+function onMoveListClick(e) {
+    const el = e.target.closest(".mv[data-path]");
+    if (!el || mode !== "edit") return;
 
-    scrollPgnLineToEnd();
+    const indices = el.dataset.path.split(".").map(Number);
+    const path = pathFromIndices(treeSession.root, indices);
+    if (path) jumpToPath(path);
 }
 
-function movesToInlineText(moves) {
-    let out = [];
-    for (let i = 0; i < moves.length; i += 2) {
-        const no = i / 2 + 1;
-        const w = moves[i];
-        const b = moves[i + 1];
-        out.push(`${no}. ${w}${b ? " " + b : ""}`);
-    }
+// SAN moves as numbered text, counted from `startFen` (custom start positions may begin with black)
+function movesToInlineText(moves, startFen = STANDARD_START_FEN) {
+    const [, turn, , , , fullmove] = startFen.trim().split(/\s+/);
+    let no = Number(fullmove) || 1;
+    let white = turn !== "b";
+
+    const out = [];
+    moves.forEach((san, i) => {
+        if (white) out.push(`${no}. ${san}`);
+        else if (i === 0) out.push(`${no}... ${san}`);
+        else out[out.length - 1] += ` ${san}`;
+        if (!white) no++;
+        white = !white;
+    });
     return out.join(" ");
 }
 
@@ -351,16 +1096,190 @@ function syncBoardOnly() {
             events: boardUserMoveEvents,
         },
         highlight: {check: true, lastMove: true, custom: promoCustom},
+        drawable: {shapes: boardShapes()},
     });
 }
 
+function boardShapes() {
+    if (mode === "train" && trainingHintLevel > 0) return hintShapes(expectedTrainingNode()?.move, trainingHintLevel);
+    if (mode === "train") return trainingRevealed?.shapes ?? [];
+    return currentNode(treeSession).shapes ?? [];
+}
+
 function syncTextOnly() {
     syncPgnLine();
+    syncAnnotations();
+    syncTranspositions();
+}
+
+// -------------------- Annotations --------------------
+function syncAnnotations() {
+    const node = currentNode(treeSession);
+    const editable = mode === "edit" && node !== treeSession.root;
+
+    if (annotationPanel) {
+        annotationPanel.classList.toggle("hidden", !editable);
+        if (editable) {
+            for (const btn of nagButtons.querySelectorAll(".nag-btn")) {
+                btn.classList.toggle("active", (node.nags ?? []).includes(Number(btn.dataset.nag)));
+            }
+            if (document.activeElement !== commentInput) commentInput.value = node.comment ?? "";
+        }
+    }
+
+    if (commentView) {
+        const shown = mode === "train" ? trainingRevealed : null;
+        const hasText = !!(shown && (shown.comment || shown.nags?.length));
+        commentView.classList.toggle("hidden", !hasText);
+        commentView.innerHTML = "";
+        if (!hasText) return;
+
+        if (shown.nags?.length) {
+            const nag = document.createElement("span");
+            nag.className = "nag";
+            nag.textContent = shown.nags.map(nagSymbol).join(" ");
+            commentView.appendChild(nag);
+        }
+        commentView.appendChild(document.createTextNode(shown.comment ?? ""));
+    }
+}
+
+function onShapesDrawn(shapes) {
+    if (mode !== "edit") return;
+
+    const node = currentNode(treeSession);
+    if (node === treeSession.root) return;
+
+    setShapes(node, shapes);
+    persistActiveOpening();
+}
+
+function onNagButtonClick(e) {
+    const btn = e.target.closest(".nag-btn");
+    if (!btn || mode !== "edit") return;
+
+    const node = currentNode(treeSession);
+    if (node === treeSession.root) return;
+
+    toggleNag(node, Number(btn.dataset.nag));
+    persistActiveOpening();
+    syncTextOnly();
+}
+
+function applyCommentInput() {
+    const node = currentNode(treeSession);
+    if (mode !== "edit" || node === treeSession.root) return;
+
+    setComment(node, commentInput.value);
+    persistActiveOpening();
+}
+
+// -------------------- Transpositions --------------------
+function getPositionIndex() {
+    if (!positionIndex || positionIndexRoot !== treeSession.root) {
+        positionIndex = buildPositionIndex(treeSession.root, openingStartFen(getActiveOpening()));
+        positionIndexRoot = treeSession.root;
+    }
+    return positionIndex;
+}
+
+function invalidatePositionIndex() {
+    positionIndex = null;
+}
+
+function syncTranspositions() {
+    if (!transpositionsEl) return;
+
+    transpositionsEl.innerHTML = "";
+
+    const others = mode === "edit"
+        ? findTranspositions(getPositionIndex(), game.fen(), currentNode(treeSession))
+        : [];
+    transpositionsEl.classList.toggle("hidden", others.length === 0);
+    if (others.length === 0) return;
+
+    const label = document.createElement("span");
+    label.textContent = "Diese Stellung auch bei:";
+    transpositionsEl.appendChild(label);
+
+    for (const entry of others) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "transposition-link";
+        const startFen = openingStartFen(getActiveOpening());
+        btn.textContent = movesToInlineText(pathToSans(entry.path, startFen), startFen);
+        btn.addEventListener("click", () => jumpToPath(entry.path));
+        transpositionsEl.appendChild(btn);
+    }
+}
+
+function jumpToPath(path) {
+    if (promoPick) return;
+
+    treeSession.path = path.slice();
+    clearRedoHistory();
+    persistAppState();
+    resetPositionFromSession();
+}
+
+// weight of the current opponent move, used by the "weighted" opponent policy
+function syncNodeWeightRow() {
+    if (!nodeWeightRow) return;
+
+    const opening = getActiveOpening();
+    const depth = treeSession.path.length - 1;
+    const visible = mode === "edit" && !!opening && depth > 0 && !isUserNode(depth, opening.trainAs, firstToMoveOf(opening));
+
+    nodeWeightRow.classList.toggle("hidden", !visible);
+    if (visible && document.activeElement !== nodeWeightInput) {
+        nodeWeightInput.value = String(nodeWeight(currentNode(treeSession)));
+    }
+}
+
+function applyNodeWeightInput() {
+    const node = currentNode(treeSession);
+    if (node === treeSession.root) return;
+
+    const w = Number(nodeWeightInput.value);
+    if (!Number.isFinite(w) || w < 0) {
+        nodeWeightInput.value = String(nodeWeight(node));
+        return;
+    }
+
+    if (w === 1) delete node.weight;
+    else node.weight = w;
+
+    persistActiveOpening();
 }
 
 function updateUndoRedoState() {
     if (undoBtn) undoBtn.disabled = treeSession.path.length <= 1;
-    if (redoBtn) redoBtn.disabled = redoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = currentNode(treeSession).children.length === 0;
+
+    if (deleteMoveBtn) deleteMoveBtn.disabled = treeSession.path.length <= 1;
+    if (deleteAfterBtn) deleteAfterBtn.disabled = currentNode(treeSession).children.length === 0;
+    if (undoEditBtn) undoEditBtn.disabled = mode !== "edit" || editHistory.undo.length === 0;
+    if (redoEditBtn) redoEditBtn.disabled = mode !== "edit" || editHistory.redo.length === 0;
+    if (trainFromHereBtn) trainFromHereBtn.disabled = currentNode(treeSession).children.length === 0;
+
+    syncVariationTools();
+}
+
+function syncVariationTools() {
+    if (!variationTools) return;
+
+    const depth = treeSession.path.length - 1;
+    variationTools.classList.toggle("hidden", mode !== "edit" || depth === 0);
+    if (depth === 0) return;
+
+    const siblings = treeSession.path[depth - 1].children;
+    const index = siblings.indexOf(currentNode(treeSession));
+    const onMainLine = treeSession.path.every((node, i) => i === 0 || treeSession.path[i - 1].children[0] === node);
+
+    mainLineBtn.disabled = onMainLine;
+    promoteBtn.disabled = index <= 0;
+    variationUpBtn.disabled = index <= 0;
+    variationDownBtn.disabled = index === -1 || index >= siblings.length - 1;
 }
 
 // -------------------- Mode toggle --------------------
@@ -368,6 +1287,12 @@ function setMode(nextMode) {
     if (mode === nextMode) return;
 
     mode = nextMode;
+    if (mode === "edit") {
+        mistakeTargets = null;
+        trainingScope = null;
+        clearTimeout(nextCardTimer);
+        trainingSession = null;
+    }
 
     if (mode === "train") {
         startTraining();
@@ -388,7 +1313,99 @@ function renderModeButtons() {
 
     trainBtn.classList.toggle("active", isTrain);
     trainBtn.setAttribute("aria-pressed", String(isTrain));
-}
+    trainBtn.title = isTrain && trainingScope ? "Training ab der gewählten Stellung" : "";
+
+    editActions?.classList.toggle("hidden", isTrain);
+
+    if (hintBtn) {
+        hintBtn.classList.toggle("hidden", !isTrain);
+        hintBtn.disabled = !isTrain || trainingHintLevel >= MAX_HINT_LEVEL || !expectedTrainingNode();
+    }
+
+    syncTrainingStatus();
+}
+
+function syncTrainingStatus() {
+    if (!trainingStatus) return;
+
+    const visible = mode === "train" && !!trainingSession;
+    trainingStatus.classList.toggle("hidden", !visible);
+    trainingStatus.classList.toggle("success", trainingCardResult === true);
+    trainingStatus.classList.toggle("failure", trainingCardResult === false);
+    if (!visible) return;
+
+    const done = trainingSession.cards.length;
+    if (trainingCardResult === null) {
+        trainingStatus.textContent = `Linie ${done + 1} von höchstens ${trainingSession.maxCards}`;
+    } else {
+        trainingStatus.textContent = trainingCardResult
+            ? `Linie ${done} geschafft ✓`
+            : `Linie ${done} mit Fehlern beendet – sie kommt bald wieder`;
+    }
+}
+
+// -------------------- Engine (eval bar + best line) --------------------
+function toggleEngine() {
+    engineOn[mode] = !engineOn[mode];
+    // switching on again retries an engine that failed to start
+    if (engineOn[mode]) engineFailed = false;
+    syncEngine();
+}
+
+function syncEngine() {
+    if (!enginePanel) return;
+
+    const on = engineOn[mode];
+    enginePanel.classList.toggle("hidden", !on);
+    engineBtn?.classList.toggle("active", on);
+    engineBtn?.setAttribute("aria-pressed", String(on));
+
+    if (!on || engineFailed) {
+        if (engineFen) engine?.stop();
+        engineFen = null;
+        return;
+    }
+
+    const fen = game.fen();
+    if (fen === engineFen) return;
+
+    engineFen = fen;
+    renderEngineInfo(null, fen);
+    analyzePosition(fen);
+}
+
+async function analyzePosition(fen) {
+    try {
+        engine ??= createUciEngine(createWorkerTransport(ENGINE_WORKER_URL));
+        const res = await engine.analyze(fen, {
+            depth: ENGINE_DEPTH,
+            onInfo: (info) => {
+                if (engineFen === fen) renderEngineInfo(info, fen);
+            },
+        });
+        if (res && engineFen === fen) renderEngineInfo(res, fen);
+    } catch (e) {
+        console.warn("Engine not available:", e);
+        engineFailed = true;
+        engineFen = null;
+        engine?.quit(); // a retry starts a fresh worker
+        engine = null;
+
+        evalBarFill.style.width = "50%";
+        engineScore.textContent = "–";
+        engineLine.textContent = "Engine nicht verfügbar";
+    }
+}
+
+function renderEngineInfo(info, fen) {
+    const score = whiteScore(info?.score, fen);
+
+    evalBarFill.style.width = `${evalBarPercent(score)}%`;
+    engineScore.textContent = score ? formatScore(score) : "…";
+    engineLine.textContent = info?.pv?.length
+        ? `${pvText(fen, info.pv)}${info.depth ? ` (Tiefe ${info.depth})` : ""}`
+        : "";
+}
 
 // -------------------- Flip / Lichess ----------------------------
 function flipBoard() {
@@ -397,6 +1414,12 @@ function flipBoard() {
 }
 
 function openLichessAnalysis({myColor = "white"} = {}) {
+    // custom start positions can't be expressed as a move path
+    if (getActiveOpening()?.startFen) {
+        window.open(lichessAnalysisUrlFromFen(game.fen(), myColor), "_blank", "noopener,noreferrer");
+        return;
+    }
+
     // SAN-Liste bis zur aktuellen Position (genau dein "Weg")
     const moves = game.history(); // z.B. ["e4","c5","Nf3",...]
     const ply = moves.length;
@@ -511,13 +1534,109 @@ function closeOverlay() {
 }
 
 
-function persistAppState() {
+function getActiveOpening() {
+    return appState.openings.find((o) => o.id === appState.activeOpeningId) || null;
+}
+
+// changed: ids of openings whose content changed (new or replaced opening objects are found
+// by the writer); other saves only store the app record (active opening, order, last paths)
+function persistAppState({changed = [], force = []} = {}) {
     updateLastPathFromSession();
-    saveToStorage(appState, localStorage, DEFAULT_STORAGE_KEY);
+    if (!stateWriter) return;
+
+    stateWriter.save(appState, {changed, force})
+        .then((res) => {
+            if (res.written.length > 0 || res.removed.length > 0) {
+                syncChannel?.postMessage({ids: res.written, removed: res.removed});
+            }
+            for (const id of res.written) conflictIds.delete(id);
+            for (const c of res.conflicts) conflictIds.add(c.id);
+            renderConflictNotice();
+        })
+        .catch((e) => {
+            showStorageNotice(`Speichern fehlgeschlagen: ${e.message}`);
+        });
+}
+
+function persistActiveOpening() {
+    persistAppState({changed: [appState.activeOpeningId]});
+}
+
+// -------------------- Multi-tab sync --------------------
+async function onRemoteChange(msg, {discardLocal = false} = {}) {
+    if (!storageAdapter || !msg) return;
+
+    const activeId = appState.activeOpeningId;
+    const res = await applyRemoteChanges(storageAdapter, stateWriter, appState, {...msg, discardLocal});
+
+    for (const id of res.conflicts) conflictIds.add(id);
+    for (const id of [...res.reloaded, ...res.removed]) conflictIds.delete(id);
+    renderConflictNotice();
+
+    if (res.removed.includes(activeId)) {
+        selectOpening(appState.openings[0]?.id);
+        return;
+    }
+    if (res.reloaded.includes(activeId)) rebuildSessionOnNewTree();
+
+    renderOpenings();
+}
+
+// the active opening was replaced by a newer copy: stay on the same moves as far as they still exist
+function rebuildSessionOnNewTree() {
+    const opening = getActiveOpening();
+    const moves = getSessionMoves(treeSession);
+
+    treeSession = createTreeSession(opening.root);
+    treeSession.path = pathFromMoves(opening.root, moves);
+
+    // these refer to nodes of the old tree
+    redoStack = [];
+    variationPick = null;
+    invalidatePositionIndex();
+
+    if (mode === "train" && trainingSession?.current) replanCard(opening);
+    else resetPositionFromSession();
+}
+
+// the running card goes on in the new tree: same way so far, the rest is planned again
+function replanCard(opening) {
+    const oldLine = trainingLine;
+    scheduleLineFrom(opening);
+
+    trainingMissed = new Set(trainingLine.filter((n, i) =>
+        oldLine[i] && trainingMissed.has(oldLine[i]) && sameMove(n.move, oldLine[i].move)));
+    trainingRevealed = null;
+
+    autoPlayOpponentMoves(opening);
+    resetPositionFromSession();
+    if (currentNode(treeSession).children.length === 0) completeCard();
+}
+
+function renderConflictNotice() {
+    const names = [...conflictIds]
+        .map((id) => appState.openings.find((o) => o.id === id)?.name)
+        .filter(Boolean);
+
+    conflictNotice.classList.toggle("hidden", names.length === 0);
+    conflictNoticeText.textContent =
+        `${names.join(", ")}: in einem anderen Tab geändert. Deine letzten Änderungen hier sind noch nicht gespeichert.`;
+}
+
+function keepMyVersion() {
+    const force = [...conflictIds];
+    conflictIds.clear();
+    persistAppState({force});
+}
+
+function loadOtherVersion() {
+    const ids = [...conflictIds];
+    conflictIds.clear();
+    onRemoteChange({ids, removed: []}, {discardLocal: true});
 }
 
 function updateLastPathFromSession() {
-    const opening = appState.openings.find((o) => o.id === appState.activeOpeningId) || null;
+    const opening = getActiveOpening();
     if (!opening) return;
 
     const path = [];
@@ -544,7 +1663,8 @@ function selectOpening(id) {
     treeSession = createTreeSession(opening.root);
 
     restoreLastPathIntoSession(opening, treeSession);
-    resetPositionFromSession();
+    if (mode === "train") startTraining();
+    else resetPositionFromSession();
 
     persistAppState();
 
@@ -563,6 +1683,8 @@ function restoreLastPathIntoSession(opening, session) {
 function renderOpenings() {
     openingsList.innerHTML = "";
 
+    const dueUntil = endOfDay();
+
     for (const o of appState.openings) {
         const li = document.createElement("li");
         li.className = "opening-row" + (o.id === appState.activeOpeningId ? " active" : "");
@@ -570,10 +1692,15 @@ function renderOpenings() {
         li.innerHTML = `
   <div class="opening-meta">
     <strong>${o.name}</strong>
-    <div class="badge">Train as: ${o.trainAs}</div>
+    <div class="badge">Train as: ${o.trainAs}${o.startFen ? " · eigene Startstellung" : ""} · Due today: ${countDue(o.root, o.trainAs, dueUntil, firstToMoveOf(o))}</div>
   </div>
   <div class="opening-actions">
     <button class="iconbtn open-btn" type="button" aria-label="Öffnen" title="Öffnen">▶︎</button>
+    <button class="iconbtn import-btn" type="button" aria-label="PGN importieren" title="PGN importieren">⤓</button>
+    <button class="iconbtn export-btn" type="button" aria-label="PGN exportieren" title="PGN exportieren">⤒</button>
+    <button class="iconbtn stats-btn" type="button" aria-label="Statistik" title="Statistik">📊</button>
+    <button class="iconbtn check-btn" type="button" aria-label="Blunder-Check" title="Blunder-Check mit der Engine">⚠︎</button>
+    <button class="iconbtn gaps-btn" type="button" aria-label="Lücken" title="Häufige Gegnerzüge ohne Antwort (Datenbank)">⁇</button>
     <button class="iconbtn rename-btn" type="button" aria-label="Umbenennen" title="Umbenennen">✎</button>
     <button class="iconbtn delete-btn" type="button" aria-label="Löschen" title="Löschen">✕</button>
   </div>
@@ -585,6 +1712,26 @@ function renderOpenings() {
             closeOverlay();
         });
 
+        li.querySelector(".import-btn").addEventListener("click", () => {
+            openPgnDialog(o.id);
+        });
+
+        li.querySelector(".export-btn").addEventListener("click", () => {
+            exportOpening(o.id);
+        });
+
+        li.querySelector(".stats-btn").addEventListener("click", () => {
+            openStatsDialog(o.id);
+        });
+
+        li.querySelector(".check-btn").addEventListener("click", () => {
+            openBlunderDialog(o.id);
+        });
+
+        li.querySelector(".gaps-btn").addEventListener("click", () => {
+            openGapsDialog(o.id);
+        });
+
         li.querySelector(".rename-btn").addEventListener("click", () => {
             openRenameDialog(o.id);
         });
@@ -605,8 +1752,12 @@ function openCreateDialog() {
 
     dialogTrainAs = "white";
     updateTrainAsButtons();
+    opponentPolicySelect.value = "due";
 
     openingNameInput.value = "";
+    startFenInput.value = "";
+    startFenField.classList.remove("hidden");
+    showOpeningDialogError("");
     openingDialog.classList.remove("hidden");
 
     // backdrop muss sichtbar sein, falls Dialog auch ohne Overlay geöffnet wird
@@ -627,8 +1778,20 @@ function submitOpeningFromDialog() {
     if (!name) return {ok: false, reason: "empty-name"};
 
     if (dialogMode === "create") {
-        const o = createOpening({name, trainAs: dialogTrainAs});
+        let o;
+        try {
+            o = createOpening({
+                name,
+                trainAs: dialogTrainAs,
+                opponentPolicy: opponentPolicySelect.value,
+                startFen: startFenInput.value,
+            });
+        } catch {
+            showOpeningDialogError("Ungültige FEN.");
+            return {ok: false, reason: "invalid-fen"};
+        }
         appState.openings.push(o);
+        recordEdit({type: "add-opening", index: appState.openings.length - 1, opening: structuredClone(serializeOpening(o))});
         persistAppState();
 
         selectOpening(o.id);
@@ -643,10 +1806,18 @@ function submitOpeningFromDialog() {
         const o = appState.openings.find(x => x.id === dialogTargetId);
         if (!o) return {ok: false, reason: "missing-opening"};
 
+        const before = {name: o.name, opponentPolicy: o.opponentPolicy};
         o.name = name;
+        o.opponentPolicy = opponentPolicySelect.value;
+        recordEdit({
+            type: "update-opening",
+            openingId: o.id,
+            before,
+            after: {name: o.name, opponentPolicy: o.opponentPolicy},
+        });
         // trainAs beim Rename NICHT ändern (würde ich fürs MVP weglassen)
 
-        persistAppState();
+        persistAppState({changed: [o.id]});
         renderOpenings();
 
         closeOpeningDialog();
@@ -657,6 +1828,11 @@ function submitOpeningFromDialog() {
     return {ok: false, reason: "unknown-mode"};
 }
 
+function showOpeningDialogError(text) {
+    openingDialogError.textContent = text;
+    openingDialogError.classList.toggle("hidden", !text);
+}
+
 function openRenameDialog(openingId) {
     const o = appState.openings.find(x => x.id === openingId);
     if (!o) return;
@@ -667,6 +1843,11 @@ function openRenameDialog(openingId) {
     openingNameInput.value = o.name;
     dialogTrainAs = o.trainAs;     // anzeigen ok
     updateTrainAsButtons();        // du kannst Buttons beim Rename auch disable'n
+    opponentPolicySelect.value = o.opponentPolicy;
+
+    // the tree hangs off the start position: it can't change afterwards
+    startFenField.classList.add("hidden");
+    showOpeningDialogError("");
 
     openingDialog.classList.remove("hidden");
     backdrop.classList.remove("hidden");
@@ -683,6 +1864,7 @@ function deleteOpening(id) {
 
     const idx = appState.openings.findIndex(x => x.id === id);
     appState.openings.splice(idx, 1);
+    recordEdit({type: "remove-opening", index: idx, opening: structuredClone(serializeOpening(o))});
 
     // aktive Opening reparieren
     if (appState.activeOpeningId === id) {
@@ -706,6 +1888,752 @@ function deleteOpening(id) {
 
 }
 
+// -------------------- PGN import --------------------
+function openPgnDialog(openingId) {
+    const o = appState.openings.find(x => x.id === openingId);
+    if (!o) return;
+
+    pgnTargetId = openingId;
+    pgnInput.value = "";
+    pgnFileInput.value = "";
+    pgnImportReport.innerHTML = "";
+
+    document.getElementById("pgnDialogTitle").textContent = `PGN importieren: ${o.name}`;
+
+    pgnDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+    pgnInput.focus();
+}
+
+function closePgnDialog() {
+    pgnDialog.classList.add("hidden");
+    pgnTargetId = null;
+}
+
+async function loadPgnFileIntoInput() {
+    const file = pgnFileInput.files?.[0];
+    if (!file) return;
+    pgnInput.value = await file.text();
+}
+
+function submitPgnImport() {
+    const o = appState.openings.find(x => x.id === pgnTargetId);
+    if (!o) return {ok: false, reason: "missing-opening"};
+
+    const before = structuredClone(o.root);
+    const res = importPgnIntoTree(o.root, pgnInput.value, {startFen: openingStartFen(o)});
+    renderImportReport(res);
+    if (!res.ok) return res;
+
+    recordEdit({type: "replace-root", openingId: o.id, before, after: structuredClone(o.root)});
+
+    persistAppState({changed: [o.id]});
+    if (o.id === appState.activeOpeningId) {
+        invalidatePositionIndex();
+        syncUi();
+    }
+
+    return res;
+}
+
+const PGN_IMPORT_ERROR_LABELS = {
+    "illegal-move": "ungültiger Zug",
+    "unsupported-start-position": "andere Startstellung als die Eröffnung",
+    "unclosed-variation": "Variante nicht geschlossen",
+    "unbalanced-close": "schließende Klammer ohne Variante",
+    "variation-without-move": "Variante ohne vorherigen Zug",
+    "unexpected-character": "unerwartetes Zeichen",
+};
+
+function renderImportReport(res) {
+    pgnImportReport.innerHTML = "";
+
+    const addRow = (text, isError = false) => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        if (isError) li.className = "error";
+        pgnImportReport.appendChild(li);
+    };
+
+    if (!res.ok) {
+        addRow("Keine Partie gefunden.", true);
+        return;
+    }
+
+    addRow(`${res.games.length} Partie(n), ${res.added} neue Züge.`);
+
+    for (const g of res.games) {
+        for (const err of g.errors) {
+            let where = "";
+            if (err.san) where = err.ply > 0 ? ` bei Halbzug ${err.ply} (${err.san})` : ` („${err.san}“)`;
+            addRow(`${g.label}: ${PGN_IMPORT_ERROR_LABELS[err.reason] ?? err.reason}${where}`, true);
+        }
+    }
+}
+
+// -------------------- PGN export --------------------
+function exportOpening(openingId) {
+    const o = appState.openings.find(x => x.id === openingId);
+    if (!o) return;
+
+    downloadTextFile(`${fileNameFor(o.name)}.pgn`, exportOpeningToPgn(o), "application/x-chess-pgn");
+}
+
+// -------------------- Training session summary --------------------
+function openSessionSummary(summary) {
+    sessionSummaryText.textContent = summary.lines === 0
+        ? "Keine Linie trainiert."
+        : `${summary.lines} Linie(n): ${summary.succeeded} fehlerfrei, ${summary.failed} mit Fehlern (${summary.errors} falsche Züge).`;
+
+    sessionReviewList.innerHTML = "";
+    const opening = getActiveOpening();
+    const startFen = openingStartFen(opening);
+    for (const p of summary.toReview) {
+        const sans = pathToSans([...p.line, p.expected].filter(Boolean).map((move) => ({move})), startFen);
+        const expected = p.expected ? sans.pop() : null;
+
+        const li = document.createElement("li");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "transposition-link";
+        btn.textContent = `${movesToInlineText(sans, startFen) || "Startstellung"}${expected ? ` → ${expected}` : ""}`;
+        btn.title = "Stellung öffnen";
+        btn.addEventListener("click", () => {
+            closeSessionSummary();
+            jumpToOpeningPosition(opening.id, p.line);
+        });
+        li.appendChild(btn);
+        sessionReviewList.appendChild(li);
+    }
+
+    sessionSummaryDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeSessionSummary() {
+    sessionSummaryDialog.classList.add("hidden");
+    backdrop.classList.add("hidden");
+    backdrop.setAttribute("aria-hidden", "true");
+}
+
+// -------------------- Training statistics --------------------
+function openStatsDialog(openingId) {
+    const o = appState.openings.find(x => x.id === openingId);
+    if (!o) return;
+
+    statsTargetId = o.id;
+    statsDialogTitle.textContent = `Statistik: ${o.name}`;
+    renderStats(o);
+
+    statsDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeStatsDialog() {
+    statsDialog.classList.add("hidden");
+    statsTargetId = null;
+}
+
+function renderStats(o) {
+    const log = o.trainingLog ?? [];
+    const correct = log.filter((e) => e.correct).length;
+    statsSummary.textContent = log.length === 0
+        ? "Noch keine Trainingsantworten."
+        : `${log.length} Antworten, ${Math.round(100 * correct / log.length)} % richtig.`;
+
+    // accuracy over time: the last two weeks with training
+    accuracyList.innerHTML = "";
+    for (const d of accuracyByDay(log).slice(-14)) {
+        const pct = Math.round(100 * d.accuracy);
+        const li = document.createElement("li");
+        li.innerHTML = `
+  <span class="stats-day">${d.day}</span>
+  <span class="stats-bar"><span style="width: ${pct}%"></span></span>
+  <span class="stats-value">${pct} % · ${d.attempts}${d.avgMs !== null ? ` · ⌀ ${(d.avgMs / 1000).toFixed(1)} s` : ""}</span>
+`;
+        accuracyList.appendChild(li);
+    }
+
+    missedList.innerHTML = "";
+    const startFen = openingStartFen(o);
+    for (const p of mostMissedPositions(log, 10)) {
+        const sans = pathToSans(p.line.map((move) => ({move})), startFen);
+        const expected = p.expected
+            ? pathToSans([...p.line, p.expected].map((move) => ({move})), startFen)[p.line.length]
+            : null;
+
+        const li = document.createElement("li");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "transposition-link";
+        btn.textContent = `${movesToInlineText(sans, startFen) || "Startstellung"}${expected ? ` → ${expected}` : ""}`;
+        btn.title = "Stellung öffnen";
+        btn.addEventListener("click", () => jumpToOpeningPosition(o.id, p.line));
+
+        const count = document.createElement("span");
+        count.className = "stats-value";
+        count.textContent = `${p.misses} von ${p.attempts} falsch`;
+
+        li.append(btn, count);
+        missedList.appendChild(li);
+    }
+
+    drillMistakesBtn.disabled = recentMistakeNodes(o.root, log).size === 0;
+}
+
+function jumpToOpeningPosition(openingId, line) {
+    closeStatsDialog();
+    closeBlunderDialog();
+    closeGamesDialog();
+    closeGapsDialog();
+    closeOverlay();
+
+    setMode("edit");
+    if (appState.activeOpeningId !== openingId) selectOpening(openingId);
+    jumpToPath(pathFromMoves(treeSession.root, line));
+}
+
+function startMistakeDrill() {
+    const id = statsTargetId;
+    closeStatsDialog();
+    closeOverlay();
+
+    mistakeTargets = new Set();
+    trainingScope = null;
+    if (appState.activeOpeningId !== id) selectOpening(id);
+
+    if (mode === "train") startTraining();
+    else setMode("train");
+}
+
+// -------------------- Blunder check (whole opening) --------------------
+function openBlunderDialog(openingId) {
+    const o = appState.openings.find(x => x.id === openingId);
+    if (!o) return;
+
+    blunderTargetId = o.id;
+    blunderDialogTitle.textContent = `Blunder-Check: ${o.name}`;
+    blunderDepthInput.value ||= String(DEFAULT_CHECK_DEPTH);
+    blunderThresholdInput.value ||= String(DEFAULT_BLUNDER_THRESHOLD);
+    blunderProgress.textContent = "";
+    blunderReport.innerHTML = "";
+    syncBlunderButtons();
+
+    blunderDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeBlunderDialog() {
+    cancelBlunderCheck();
+    blunderDialog.classList.add("hidden");
+    blunderTargetId = null;
+}
+
+function syncBlunderButtons() {
+    blunderStartBtn.disabled = !!blunderRun;
+    blunderCancelBtn.disabled = !blunderRun;
+}
+
+async function runBlunderCheck() {
+    const o = appState.openings.find(x => x.id === blunderTargetId);
+    if (!o || blunderRun) return;
+
+    const depth = Math.max(1, Math.round(Number(blunderDepthInput.value) || DEFAULT_CHECK_DEPTH));
+    const threshold = Math.max(0, Math.round(Number(blunderThresholdInput.value) || DEFAULT_BLUNDER_THRESHOLD));
+
+    // own engine instance: the eval bar keeps its analysis
+    const run = {controller: new AbortController(), engine: createUciEngine(createWorkerTransport(ENGINE_WORKER_URL))};
+    blunderRun = run;
+    blunderReport.innerHTML = "";
+    blunderProgress.textContent = "Engine startet …";
+    syncBlunderButtons();
+
+    try {
+        const res = await checkOpening(o, run.engine, {
+            depth,
+            threshold,
+            signal: run.controller.signal,
+            onProgress: ({done, total}) => {
+                blunderProgress.textContent = `${done} von ${total} Stellungen geprüft …`;
+            },
+        });
+
+        if (!res.ok) {
+            blunderProgress.textContent = "Abgebrochen.";
+            return;
+        }
+
+        persistAppState({changed: [o.id]});
+        blunderProgress.textContent = res.flagged.length === 0
+            ? `${res.evaluated} Stellungen geprüft, keine Fehler über ${threshold} Centipawns.`
+            : `${res.evaluated} Stellungen geprüft, ${res.flagged.length} verdächtige Züge:`;
+        renderBlunderReport(o, res.flagged);
+    } catch (e) {
+        console.warn("Blunder check failed:", e);
+        blunderProgress.textContent = "Engine nicht verfügbar.";
+    } finally {
+        run.engine.quit();
+        if (blunderRun === run) blunderRun = null;
+        syncBlunderButtons();
+    }
+}
+
+function cancelBlunderCheck() {
+    if (!blunderRun) return;
+
+    blunderRun.controller.abort();
+    blunderRun.engine.stop();
+}
+
+function renderBlunderReport(o, flagged) {
+    blunderReport.innerHTML = "";
+
+    for (const f of flagged) {
+        const li = document.createElement("li");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "transposition-link";
+        btn.textContent = movesToInlineText(f.sans, openingStartFen(o));
+        btn.title = "Stellung öffnen";
+        btn.addEventListener("click", () => jumpToOpeningPosition(o.id, f.moves));
+
+        const info = document.createElement("span");
+        info.className = "stats-value";
+        info.textContent = `−${(f.loss / 100).toFixed(2)}${f.best ? ` · besser ${f.best}` : ""}`;
+
+        li.append(btn, info);
+        blunderReport.appendChild(li);
+    }
+}
+
+// -------------------- Own games vs. repertoire --------------------
+const GAME_REVIEW_LABELS = {
+    "we-left-book": "eigener Zug abweichend",
+    "opponent-unprepared": "Gegner: unvorbereiteter Zug",
+    "end-of-tree": "Repertoire endet",
+    "in-book": "ganz im Repertoire",
+    "no-opening": "keine passende Eröffnung",
+    "unknown-player": "Spieler nicht gefunden",
+    "ambiguous-color": "Farbe unklar (Spielername angeben)",
+    "illegal-move": "ungültiger Zug",
+};
+const GAME_REVIEW_LIST_LIMIT = 200;
+
+function openGamesDialog() {
+    gamesFileInput.value = "";
+    gamesSummary.textContent = "";
+    gamesHoles.innerHTML = "";
+    gamesList.innerHTML = "";
+    gamesReviewBtn.disabled = true;
+
+    gamesDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeGamesDialog() {
+    gamesDialog.classList.add("hidden");
+}
+
+function syncGamesReviewBtn() {
+    gamesReviewBtn.disabled = !gamesFileInput.files?.[0];
+}
+
+async function runGameReview() {
+    const file = gamesFileInput.files?.[0];
+    if (!file) return;
+
+    const res = reviewGames(await file.text(), appState.openings, {player: gamesPlayerInput.value.trim()});
+    gamesHoles.innerHTML = "";
+    gamesList.innerHTML = "";
+
+    if (!res.ok) {
+        gamesSummary.textContent = "Keine Partien in der Datei gefunden.";
+        return;
+    }
+
+    const counts = new Map();
+    for (const g of res.games) counts.set(g.kind, (counts.get(g.kind) ?? 0) + 1);
+    gamesSummary.textContent = `${res.games.length} Partie(n): ` + [...counts]
+        .map(([kind, n]) => `${n}× ${GAME_REVIEW_LABELS[kind]}`)
+        .join(", ");
+
+    renderGameHoles(commonHoles(res.games));
+    renderGameList(res.games);
+}
+
+function renderGameHoles(holesByOpening) {
+    for (const [openingId, holes] of holesByOpening) {
+        const o = appState.openings.find(x => x.id === openingId);
+        if (!o) continue;
+
+        const heading = document.createElement("h4");
+        heading.className = "stats-subheading";
+        heading.textContent = o.name;
+
+        const list = document.createElement("ol");
+        list.className = "stats-list";
+
+        for (const h of holes) {
+            const li = document.createElement("li");
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "transposition-link";
+            btn.textContent = movesToInlineText(h.sans, openingStartFen(o)) || "Startstellung";
+            btn.title = `Stellung öffnen (${GAME_REVIEW_LABELS[h.kind]})`;
+            btn.addEventListener("click", () => jumpToOpeningPosition(o.id, h.line));
+
+            const info = document.createElement("span");
+            info.className = "stats-value";
+            info.textContent = `${h.count}× · ${h.played.map((p) => `${p.san} (${p.count})`).join(", ")}`;
+
+            li.append(btn, info);
+            list.appendChild(li);
+        }
+
+        gamesHoles.append(heading, list);
+    }
+}
+
+function renderGameList(games) {
+    for (const g of games.slice(0, GAME_REVIEW_LIST_LIMIT)) {
+        const li = document.createElement("li");
+        const o = g.openingId ? appState.openings.find(x => x.id === g.openingId) : null;
+
+        const label = document.createElement("span");
+        label.textContent = g.label;
+        li.appendChild(label);
+
+        if (o && g.ply) {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "transposition-link";
+            btn.textContent = movesToInlineText([...g.sans, g.played], openingStartFen(o));
+            btn.title = `${o.name}: Stellung öffnen`;
+            btn.addEventListener("click", () => jumpToOpeningPosition(o.id, g.line));
+            li.appendChild(btn);
+        }
+
+        const info = document.createElement("span");
+        info.className = "stats-value";
+        const prepared = g.prepared.length > 0 && g.kind !== "in-book" ? ` · vorbereitet: ${g.prepared.join(", ")}` : "";
+        info.textContent = `${GAME_REVIEW_LABELS[g.kind]}${g.kind === "illegal-move" ? ` (${g.played})` : ""}${prepared}`;
+        li.appendChild(info);
+
+        gamesList.appendChild(li);
+    }
+}
+
+// -------------------- Local game database (explorer) --------------------
+async function loadExplorerIndex() {
+    try {
+        return normalizeExplorerIndex(await storageAdapter?.readValue(EXPLORER_RECORD_KEY));
+    } catch (e) {
+        console.warn("Explorer database could not be loaded:", e);
+        return createExplorerIndex();
+    }
+}
+
+async function saveExplorerIndex() {
+    try {
+        await storageAdapter?.writeValue(EXPLORER_RECORD_KEY, explorerIndex);
+    } catch (e) {
+        console.warn("Explorer database could not be saved:", e);
+        showStorageNotice("Die Partiendatenbank konnte nicht gespeichert werden (zu groß?). Sie gilt nur für diese Sitzung.");
+    }
+}
+
+function openExplorerDbDialog() {
+    explorerDbFileInput.value = "";
+    explorerDbReport.innerHTML = "";
+    syncExplorerDbStatus();
+
+    explorerDbDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeExplorerDbDialog() {
+    explorerDbDialog.classList.add("hidden");
+}
+
+function syncExplorerDbStatus() {
+    const positions = Object.keys(explorerIndex.positions).length;
+    explorerDbStatus.textContent = explorerIndex.games === 0
+        ? "Noch keine Partien importiert."
+        : `${explorerIndex.games} Partie(n), ${positions} Stellungen.`;
+    explorerDbClearBtn.disabled = explorerIndex.games === 0;
+}
+
+async function importExplorerFiles() {
+    const files = [...(explorerDbFileInput.files ?? [])];
+    if (files.length === 0) return;
+
+    explorerDbReport.innerHTML = "";
+    const addRow = (text, isError = false) => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        if (isError) li.className = "error";
+        explorerDbReport.appendChild(li);
+    };
+
+    for (const file of files) {
+        const res = addGamesToExplorer(explorerIndex, await file.text());
+        if (!res.ok) {
+            addRow(`${file.name}: keine Partie gefunden.`, true);
+            continue;
+        }
+
+        addRow(`${file.name}: ${res.added} Partie(n).`);
+        if (res.errors.length > 0) addRow(`${file.name}: ${res.errors.length} Partie(n) mit ungültigen Zügen (bis dahin übernommen).`, true);
+    }
+
+    explorerDbFileInput.value = "";
+    syncExplorerDbStatus();
+    syncExplorerPanel();
+    await saveExplorerIndex();
+}
+
+async function clearExplorerDb() {
+    if (!confirm("Alle Partien aus der Datenbank entfernen?")) return;
+
+    explorerIndex = createExplorerIndex();
+    explorerDbReport.innerHTML = "";
+    syncExplorerDbStatus();
+    syncExplorerPanel();
+    await saveExplorerIndex();
+}
+
+// -------------------- Explorer panel (current position) --------------------
+const EXPLORER_PANEL_MOVES = 12;
+
+function toggleExplorer() {
+    explorerOn = !explorerOn;
+    syncExplorerPanel();
+}
+
+function syncExplorerPanel() {
+    if (!explorerPanel) return;
+
+    const visible = explorerOn && mode === "edit";
+    explorerPanel.classList.toggle("hidden", !visible);
+    explorerBtn?.classList.toggle("active", explorerOn);
+    explorerBtn?.setAttribute("aria-pressed", String(explorerOn));
+    explorerBtn?.classList.toggle("hidden", mode !== "edit");
+    if (!visible) return;
+
+    explorerList.innerHTML = "";
+
+    if (explorerIndex.games === 0) {
+        explorerStatus.textContent = "Keine Partien in der Datenbank (Eröffnungen → Datenbank).";
+        return;
+    }
+
+    const fen = game.fen();
+    const moves = explorerMoves(explorerIndex, fen);
+    explorerStatus.textContent = moves.length === 0
+        ? "Keine Partien mit dieser Stellung."
+        : `${positionGames(explorerIndex, fen)} Partie(n) in dieser Stellung`;
+
+    const children = currentNode(treeSession).children;
+    const percent = (x) => `${Math.round(x * 100)}%`;
+
+    for (const m of moves.slice(0, EXPLORER_PANEL_MOVES)) {
+        const inRepertoire = children.some((c) => sameMove(c.move, m.move));
+
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = `explorer-move${inRepertoire ? " in-repertoire" : ""}`;
+        btn.title = inRepertoire ? "Im Repertoire – Zug spielen" : "Zug ins Repertoire übernehmen";
+        btn.innerHTML = `
+    <span class="san"></span>
+    <span class="games"></span>
+    <span class="result-bar">
+      <span class="white" style="width: ${m.white * 100}%">${m.white >= 0.15 ? percent(m.white) : ""}</span>
+      <span class="draws" style="width: ${m.draws * 100}%">${m.draws >= 0.15 ? percent(m.draws) : ""}</span>
+      <span class="black" style="width: ${m.black * 100}%">${m.black >= 0.15 ? percent(m.black) : ""}</span>
+    </span>
+    <span class="rating"></span>
+  `;
+        btn.querySelector(".san").textContent = m.san;
+        btn.querySelector(".games").textContent = String(m.games);
+        btn.querySelector(".rating").textContent = m.avgRating ?? "–";
+        btn.querySelector(".result-bar").title =
+            `Weiß ${percent(m.white)} · Remis ${percent(m.draws)} · Schwarz ${percent(m.black)}`;
+        btn.addEventListener("click", () => {
+            if (!promoPick) applyEditMove(m.move);
+        });
+
+        const li = document.createElement("li");
+        li.appendChild(btn);
+        explorerList.appendChild(li);
+    }
+}
+
+// -------------------- Gap report (opening vs. database) --------------------
+function openGapsDialog(openingId) {
+    const o = appState.openings.find(x => x.id === openingId);
+    if (!o) return;
+
+    gapsTargetId = o.id;
+    gapsDialogTitle.textContent = `Lücken: ${o.name}`;
+    gapsShareInput.value ||= String(Math.round(DEFAULT_GAP_SHARE * 100));
+    renderGaps();
+
+    gapsDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeGapsDialog() {
+    gapsDialog.classList.add("hidden");
+    gapsTargetId = null;
+}
+
+function renderGaps() {
+    const o = appState.openings.find(x => x.id === gapsTargetId);
+    gapsList.innerHTML = "";
+    if (!o) return;
+
+    if (explorerIndex.games === 0) {
+        gapsSummary.textContent = "Die Partiendatenbank ist leer (Eröffnungen → Datenbank).";
+        return;
+    }
+
+    const share = Math.min(100, Math.max(1, Number(gapsShareInput.value) || DEFAULT_GAP_SHARE * 100)) / 100;
+    const gaps = findRepertoireGaps(o, explorerIndex, {minShare: share, includeLeaves: gapsLeavesInput.checked});
+
+    gapsSummary.textContent = gaps.length === 0
+        ? `Keine Lücken bei Gegnerzügen ab ${Math.round(share * 100)} %.`
+        : `${gaps.length} Stellung(en) mit unbeantworteten Gegnerzügen:`;
+
+    for (const g of gaps) {
+        const li = document.createElement("li");
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "transposition-link";
+        btn.textContent = movesToInlineText(g.sans, openingStartFen(o)) || "Startstellung";
+        btn.title = "Stellung öffnen";
+        btn.addEventListener("click", () => jumpToOpeningPosition(o.id, g.moves));
+
+        const info = document.createElement("span");
+        info.className = "stats-value";
+        const replies = g.replies.map((r) => `${r.san} ${Math.round(r.share * 100)} %`).join(", ");
+        info.textContent = `${g.reached}× · ${replies}`;
+
+        li.append(btn, info);
+        gapsList.appendChild(li);
+    }
+}
+
+// -------------------- Backup (all openings as JSON) --------------------
+function exportAllOpenings() {
+    persistAppState();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(`blunderlab-backup-${date}.json`, exportBackup(appState), "application/json");
+}
+
+function openBackupDialog() {
+    pendingBackup = null;
+    backupFileInput.value = "";
+    backupModeSelect.value = "merge";
+    backupReport.innerHTML = "";
+    backupImportBtn.disabled = true;
+
+    backupDialog.classList.remove("hidden");
+    backdrop.classList.remove("hidden");
+    backdrop.setAttribute("aria-hidden", "false");
+}
+
+function closeBackupDialog() {
+    backupDialog.classList.add("hidden");
+    pendingBackup = null;
+}
+
+async function loadBackupFile() {
+    const file = backupFileInput.files?.[0];
+    if (!file) return;
+
+    pendingBackup = parseBackup(await file.text());
+    backupImportBtn.disabled = !pendingBackup.ok || pendingBackup.openings.length === 0;
+    renderBackupReport();
+}
+
+function renderBackupReport(result = null) {
+    backupReport.innerHTML = "";
+
+    const addRow = (text, isError = false) => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        if (isError) li.className = "error";
+        backupReport.appendChild(li);
+    };
+
+    if (!pendingBackup) return;
+
+    if (!pendingBackup.ok) {
+        addRow(`Keine gültige Sicherung: ${pendingBackup.error ?? pendingBackup.reason}`, true);
+        return;
+    }
+
+    addRow(`${pendingBackup.openings.length} Eröffnung(en) gültig.`);
+    for (const err of pendingBackup.errors) {
+        addRow(`#${err.index + 1} ${err.name ?? "(ohne Namen)"}: ${err.error}`, true);
+    }
+
+    if (result?.ok) addRow(`Importiert: ${result.added} neu, ${result.replaced} ersetzt.`);
+}
+
+function submitBackupImport() {
+    if (!pendingBackup?.ok) return {ok: false, reason: "no-backup"};
+
+    const mode = backupModeSelect.value;
+    if (mode === "replace" && !confirm("Alle vorhandenen Eröffnungen durch die Sicherung ersetzen?")) {
+        return {ok: false, reason: "cancelled"};
+    }
+
+    const before = openingsSnapshot();
+    const res = applyBackup(appState, pendingBackup.openings, mode);
+    if (!res.ok) return res;
+
+    recordEdit({type: "replace-all", before, after: openingsSnapshot()});
+
+    // imported openings are live objects now: a second click must not add them again
+    backupImportBtn.disabled = true;
+    renderBackupReport(res);
+
+    const active = getActiveOpening() ?? appState.openings[0];
+    invalidatePositionIndex();
+    selectOpening(active.id);
+    return res;
+}
+
+function openingsSnapshot() {
+    return {
+        openings: appState.openings.map((o) => structuredClone(serializeOpening(o))),
+        activeOpeningId: appState.activeOpeningId,
+    };
+}
+
+function fileNameFor(name) {
+    return name.trim().replace(/[^\p{L}\p{N}_-]+/gu, "_") || "opening";
+}
+
+function downloadTextFile(fileName, text, mimeType = "text/plain") {
+    const url = URL.createObjectURL(new Blob([text], {type: mimeType}));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
 function updateTrainAsButtons() {
     trainAsWhiteBtn.classList.toggle("active", dialogTrainAs === "white");
     trainAsBlackBtn.classList.toggle("active", dialogTrainAs === "black");
@@ -733,19 +2661,53 @@ function onKeyDown(e) {
     // nicht in Formularfeldern o.ä. abfangen
     if (isTypingTarget(e.target)) return;
 
+    if (mode === "edit" && (e.ctrlKey || e.metaKey) && (e.key === "z" || e.key === "Z" || e.key === "y")) {
+        e.preventDefault();
+        if (e.shiftKey || e.key === "y") redoEdit();
+        else undoEdit();
+        return;
+    }
+
     // optional: wenn dein Studies-Overlay offen ist, nicht eingreifen
     // if (isStudiesOverlayOpen()) return;
 
     if (e.key === "ArrowLeft") {
         e.preventDefault();
-        undo();
+        if (!closeVariationPicker()) undo();
     } else if (e.key === "ArrowRight") {
         e.preventDefault();
         redo();
+    } else if (e.key === "ArrowUp" && variationPick && mode === "edit") {
+        e.preventDefault();
+        moveVariationPick(-1);
+    } else if (e.key === "ArrowDown" && variationPick && mode === "edit") {
+        e.preventDefault();
+        moveVariationPick(+1);
+    } else if (e.key === "Enter" && variationPick && mode === "edit") {
+        e.preventDefault();
+        redo();
+    } else if ((e.key === "h" || e.key === "H") && !e.ctrlKey && !e.metaKey) {
+        showNextHint();
+    } else if (e.key === "Escape") {
+        closeVariationPicker();
     }
 }
 
 function wireUi() {
+    storageNoticeCloseBtn.addEventListener("click", () => showStorageNotice(null));
+    closeStatsDialogBtn.addEventListener("click", closeStatsDialog);
+    closeBlunderDialogBtn.addEventListener("click", closeBlunderDialog);
+    blunderStartBtn.addEventListener("click", runBlunderCheck);
+    blunderCancelBtn.addEventListener("click", cancelBlunderCheck);
+    closeSessionSummaryBtn.addEventListener("click", closeSessionSummary);
+    newSessionBtn.addEventListener("click", () => {
+        closeSessionSummary();
+        if (mode === "train") startTraining();
+    });
+    drillMistakesBtn.addEventListener("click", startMistakeDrill);
+    keepMineBtn.addEventListener("click", keepMyVersion);
+    loadTheirsBtn.addEventListener("click", loadOtherVersion);
+
     editBtn?.addEventListener("click", () => setMode("edit"));
     trainBtn?.addEventListener("click", () => setMode("train"));
 
@@ -753,7 +2715,21 @@ function wireUi() {
     redoBtn?.addEventListener("click", redo);
 
     flipBtn?.addEventListener("click", flipBoard);
+
+    deleteMoveBtn?.addEventListener("click", deleteCurrentSubtree);
+    deleteAfterBtn?.addEventListener("click", deleteAfterCurrent);
+    undoEditBtn?.addEventListener("click", undoEdit);
+    trainFromHereBtn?.addEventListener("click", trainFromHere);
+    hintBtn?.addEventListener("click", showNextHint);
+    redoEditBtn?.addEventListener("click", redoEdit);
+
+    mainLineBtn?.addEventListener("click", () => reorderVariation(makeMainLine));
+    promoteBtn?.addEventListener("click", () => reorderVariation(promoteVariation));
+    variationUpBtn?.addEventListener("click", () => reorderVariation((session) => moveVariation(session, -1)));
+    variationDownBtn?.addEventListener("click", () => reorderVariation((session) => moveVariation(session, +1)));
     lichessBtn?.addEventListener("click", openLichessAnalysis);
+    engineBtn?.addEventListener("click", toggleEngine);
+    explorerBtn?.addEventListener("click", toggleExplorer);
 
     menuBtn?.addEventListener("click", () => {
         const isHidden = overlay.classList.contains("hidden");
@@ -780,6 +2756,10 @@ function wireUi() {
         updateTrainAsButtons();
     });
 
+    useCurrentFenBtn.addEventListener("click", () => {
+        startFenInput.value = game.fen();
+    });
+
     dialogCancelBtn.addEventListener("click", closeOpeningDialog);
     closeDialogBtn.addEventListener("click", closeOpeningDialog);
 
@@ -788,14 +2768,42 @@ function wireUi() {
         if (e.key === "Enter") submitOpeningFromDialog();
     });
 
+    nodeWeightInput?.addEventListener("change", applyNodeWeightInput);
+
+    pgnLineEl?.addEventListener("click", onMoveListClick);
+
+    nagButtons?.addEventListener("click", onNagButtonClick);
+    commentInput?.addEventListener("change", applyCommentInput);
+
+    pgnFileInput.addEventListener("change", loadPgnFileIntoInput);
+    pgnImportBtn.addEventListener("click", submitPgnImport);
+    pgnCancelBtn.addEventListener("click", closePgnDialog);
+    closePgnDialogBtn.addEventListener("click", closePgnDialog);
+
+    exportAllBtn.addEventListener("click", exportAllOpenings);
+    importBackupBtn.addEventListener("click", openBackupDialog);
+    gamesBtn.addEventListener("click", openGamesDialog);
+    explorerDbBtn.addEventListener("click", openExplorerDbDialog);
+    explorerDbFileInput.addEventListener("change", importExplorerFiles);
+    explorerDbClearBtn.addEventListener("click", clearExplorerDb);
+    explorerDbCloseBtn.addEventListener("click", closeExplorerDbDialog);
+    closeExplorerDbDialogBtn.addEventListener("click", closeExplorerDbDialog);
+    gapsShareInput.addEventListener("change", renderGaps);
+    gapsLeavesInput.addEventListener("change", renderGaps);
+    closeGapsDialogBtn.addEventListener("click", closeGapsDialog);
+    gamesFileInput.addEventListener("change", syncGamesReviewBtn);
+    gamesReviewBtn.addEventListener("click", runGameReview);
+    gamesCancelBtn.addEventListener("click", closeGamesDialog);
+    closeGamesDialogBtn.addEventListener("click", closeGamesDialog);
+    backupFileInput.addEventListener("change", loadBackupFile);
+    backupImportBtn.addEventListener("click", submitBackupImport);
+    backupCancelBtn.addEventListener("click", closeBackupDialog);
+    closeBackupDialogBtn.addEventListener("click", closeBackupDialog);
+
     window.addEventListener("keydown", onKeyDown);
 }
 
 /* Tree logger (for debugging) --------------------------------------------*/
-function moveToUci(m) {
-    return `${m.from}${m.to}${m.promotion || ""}`;
-}
-
 function lineToText(line) {
     let out = [];
     for (let i = 0; i < line.length; i += 2) {
@@ -0,0 +1,23 @@
+// scripts/copy-engine.js
+// Copy the Stockfish WASM engine from the "stockfish" package to public/engine/
+//
+// The single-threaded lite build needs no SharedArrayBuffer, so it runs on static hosts
+// without cross-origin isolation headers (GitHub Pages). The worker loads the .wasm file
+// next to its own URL, so both files keep the same base name.
+
+import { copyFileSync, mkdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const source = join(root, "node_modules", "stockfish");
+const target = join(root, "public", "engine");
+
+const FILES = [
+    ["bin/stockfish-18-lite-single.js", "stockfish.js"],
+    ["bin/stockfish-18-lite-single.wasm", "stockfish.wasm"],
+    ["Copying.txt", "COPYING.txt"], // GPL-3.0, shipped with the engine
+];
+
+mkdirSync(target, { recursive: true });
+for (const [from, to] of FILES) copyFileSync(join(source, from), join(target, to));
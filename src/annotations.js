@@ -0,0 +1,142 @@
+// src/annotations.js
+// Node annotations: comment text, NAGs and board shapes (no DOM)
+//
+// Optional fields on tree nodes:
+//   node.comment: string
+//   node.nags: number[]                      (PGN Numeric Annotation Glyphs)
+//   node.shapes: [{ orig, dest?, brush }]    (Chessground DrawShape subset)
+// Empty annotations are removed instead of stored as "" / [].
+
+// Move assessment NAGs ($1-$6) exclude each other, position NAGs are independent.
+export const MOVE_NAGS = [1, 2, 3, 4, 5, 6];
+
+const NAG_SYMBOLS = {
+    1: "!",
+    2: "?",
+    3: "!!",
+    4: "??",
+    5: "!?",
+    6: "?!",
+    7: "□",
+    10: "=",
+    13: "∞",
+    14: "⩲",
+    15: "⩱",
+    16: "±",
+    17: "∓",
+    18: "+−",
+    19: "−+",
+    22: "⨀",
+    32: "⟳",
+    36: "→",
+    40: "↑",
+    132: "⇆",
+    146: "N",
+};
+
+// Lichess / ChessBase color letters in [%cal] / [%csl] commands
+const BRUSH_BY_LETTER = { G: "green", R: "red", Y: "yellow", B: "blue" };
+const LETTER_BY_BRUSH = { green: "G", red: "R", yellow: "Y", blue: "B" };
+
+const SQUARE = /^[a-h][1-8]$/;
+
+export function nagSymbol(nag) {
+    return NAG_SYMBOLS[nag] ?? `$${nag}`;
+}
+
+/**
+ * Clean up annotation fields of a node in place (used when loading trees).
+ * Invalid values are dropped, never thrown on: a broken annotation must not lose the tree.
+ */
+export function normalizeAnnotations(node) {
+    setComment(node, typeof node.comment === "string" ? node.comment : "");
+
+    const nags = Array.isArray(node.nags)
+        ? node.nags.filter((n) => Number.isInteger(n) && n > 0 && n < 256)
+        : [];
+    setNags(node, nags);
+
+    setShapes(node, Array.isArray(node.shapes) ? node.shapes : []);
+    return node;
+}
+
+export function setComment(node, text) {
+    const comment = String(text ?? "").trim();
+    if (comment) node.comment = comment;
+    else delete node.comment;
+}
+
+export function setNags(node, nags) {
+    const unique = [...new Set(nags)];
+    if (unique.length > 0) node.nags = unique;
+    else delete node.nags;
+}
+
+/**
+ * Toggle a NAG on a node. Setting a move assessment ($1-$6) replaces the previous one.
+ */
+export function toggleNag(node, nag) {
+    const current = node.nags ?? [];
+    if (current.includes(nag)) {
+        setNags(node, current.filter((n) => n !== nag));
+        return;
+    }
+
+    const kept = MOVE_NAGS.includes(nag) ? current.filter((n) => !MOVE_NAGS.includes(n)) : current;
+    setNags(node, [...kept, nag].sort((a, b) => a - b));
+}
+
+/**
+ * Store Chessground shapes ({ orig, dest?, brush }) on a node; anything else is dropped.
+ */
+export function setShapes(node, shapes) {
+    const clean = [];
+    for (const s of shapes ?? []) {
+        if (!s || !SQUARE.test(s.orig)) continue;
+        if (s.dest !== undefined && !SQUARE.test(s.dest)) continue;
+
+        const brush = LETTER_BY_BRUSH[s.brush] ? s.brush : "green";
+        clean.push(s.dest && s.dest !== s.orig ? { orig: s.orig, dest: s.dest, brush } : { orig: s.orig, brush });
+    }
+
+    if (clean.length > 0) node.shapes = clean;
+    else delete node.shapes;
+}
+
+/**
+ * Split a PGN comment into plain text and shapes from [%cal Ge2e4,Rd7d5] / [%csl Gd4].
+ * Returns { comment, shapes }.
+ */
+export function parseCommentShapes(text) {
+    const shapes = [];
+
+    const comment = String(text ?? "").replace(/\[%(cal|csl)\s+([^\]]*)]/g, (_, kind, list) => {
+        for (const item of list.split(",")) {
+            const m = /^\s*([GRYB])([a-h][1-8])([a-h][1-8])?\s*$/.exec(item);
+            if (!m) continue;
+            const brush = BRUSH_BY_LETTER[m[1]];
+            if (kind === "cal" && m[3]) shapes.push({ orig: m[2], dest: m[3], brush });
+            if (kind === "csl" && !m[3]) shapes.push({ orig: m[2], brush });
+        }
+        return " ";
+    });
+
+    return { comment: comment.replace(/\s+/g, " ").trim(), shapes };
+}
+
+/**
+ * PGN comment commands for shapes, e.g. "[%csl Gd4][%cal Ge2e4]" ("" if none).
+ */
+export function shapesToCommentCommands(shapes) {
+    const circles = [];
+    const arrows = [];
+
+    for (const s of shapes ?? []) {
+        const letter = LETTER_BY_BRUSH[s.brush] ?? "G";
+        if (s.dest) arrows.push(`${letter}${s.orig}${s.dest}`);
+        else circles.push(`${letter}${s.orig}`);
+    }
+
+    return (circles.length ? `[%csl ${circles.join(",")}]` : "") +
+        (arrows.length ? `[%cal ${arrows.join(",")}]` : "");
+}
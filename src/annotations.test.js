@@ -0,0 +1,87 @@
+// src/annotations.test.js
+import { describe, it, expect } from "vitest";
+import {
+    nagSymbol,
+    normalizeAnnotations,
+    setComment,
+    toggleNag,
+    setShapes,
+    parseCommentShapes,
+    shapesToCommentCommands,
+} from "./annotations.js";
+
+describe("nagSymbol", () => {
+    it("maps common NAGs to symbols and falls back to $n", () => {
+        expect(nagSymbol(1)).toBe("!");
+        expect(nagSymbol(5)).toBe("!?");
+        expect(nagSymbol(16)).toBe("±");
+        expect(nagSymbol(99)).toBe("$99");
+    });
+});
+
+describe("node annotation setters", () => {
+    it("setComment trims and removes empty comments", () => {
+        const node = {};
+        setComment(node, "  plan: c5 break ");
+        expect(node.comment).toBe("plan: c5 break");
+
+        setComment(node, "   ");
+        expect("comment" in node).toBe(false);
+    });
+
+    it("toggleNag keeps one move assessment but several position NAGs", () => {
+        const node = {};
+        toggleNag(node, 1);
+        toggleNag(node, 16);
+        toggleNag(node, 5);
+        expect(node.nags).toEqual([5, 16]);
+
+        toggleNag(node, 5);
+        toggleNag(node, 16);
+        expect("nags" in node).toBe(false);
+    });
+
+    it("setShapes keeps valid arrows and circles only", () => {
+        const node = {};
+        setShapes(node, [
+            { orig: "e2", dest: "e4", brush: "green" },
+            { orig: "d4", brush: "red" },
+            { orig: "z9", brush: "green" },
+            { orig: "a1", dest: "a1", brush: "purple" },
+        ]);
+
+        expect(node.shapes).toEqual([
+            { orig: "e2", dest: "e4", brush: "green" },
+            { orig: "d4", brush: "red" },
+            { orig: "a1", brush: "green" },
+        ]);
+    });
+
+    it("normalizeAnnotations drops invalid values instead of throwing", () => {
+        const node = normalizeAnnotations({ comment: 42, nags: [1, "x", -3, 300], shapes: "nope" });
+        expect(node).toEqual({ nags: [1] });
+    });
+});
+
+describe("PGN shape commands", () => {
+    it("parses [%cal] and [%csl] out of comments", () => {
+        const res = parseCommentShapes("Plan [%csl Gd5,Rf7][%cal Ge2e4,Bb1c3] with d5");
+
+        expect(res.comment).toBe("Plan with d5");
+        expect(res.shapes).toEqual([
+            { orig: "d5", brush: "green" },
+            { orig: "f7", brush: "red" },
+            { orig: "e2", dest: "e4", brush: "green" },
+            { orig: "b1", dest: "c3", brush: "blue" },
+        ]);
+    });
+
+    it("writes shapes back as commands", () => {
+        const shapes = [
+            { orig: "e2", dest: "e4", brush: "yellow" },
+            { orig: "d5", brush: "green" },
+        ];
+        expect(shapesToCommentCommands(shapes)).toBe("[%csl Gd5][%cal Ye2e4]");
+        expect(shapesToCommentCommands([])).toBe("");
+    });
+});
@@ -0,0 +1,89 @@
+// src/backup.js
+// Backup file of all openings: export, validation and import strategies (no DOM)
+//
+// The file is the serializeAppState payload. Imports validate every opening on its own,
+// so one broken opening does not throw away the rest of the file.
+
+import { SCHEMA_VERSION, serializeAppState, deserializeOpening, makeId } from "./tree.js";
+import { migrateAppState } from "./migrations.js";
+
+export const IMPORT_MODES = ["replace", "merge", "copy"];
+
+/**
+ * JSON text of a backup file for the whole app state.
+ */
+export function exportBackup(state) {
+    return serializeAppState(state);
+}
+
+/**
+ * Parse and validate backup file text. Older schema versions are migrated first.
+ *
+ * Returns { ok: true, openings, errors: [{ index, name, error }] }
+ *      or { ok: false, reason: "invalid-json" | "not-a-backup" | "unsupported-version", error? }
+ */
+export function parseBackup(text) {
+    let obj;
+    try {
+        obj = JSON.parse(text);
+    } catch {
+        return { ok: false, reason: "invalid-json" };
+    }
+
+    if (!obj || typeof obj !== "object" || !Array.isArray(obj.openings)) {
+        return { ok: false, reason: "not-a-backup" };
+    }
+
+    const migrated = migrateAppState(obj, SCHEMA_VERSION);
+    if (!migrated.ok) return { ok: false, reason: "unsupported-version", error: migrated.error };
+
+    const openings = [];
+    const errors = [];
+
+    migrated.value.openings.forEach((o, index) => {
+        try {
+            openings.push(deserializeOpening(o));
+        } catch (e) {
+            errors.push({ index, name: typeof o?.name === "string" ? o.name : null, error: e.message });
+        }
+    });
+
+    return { ok: true, openings, errors };
+}
+
+/**
+ * Apply validated openings to the app state (mutated).
+ * - "replace": the backup becomes the whole repertoire
+ * - "merge": openings with a known id overwrite the existing one, others are appended
+ * - "copy": every opening is appended with a fresh id
+ *
+ * Returns { ok: true, added, replaced } or { ok: false, reason: "unknown-mode" | "nothing-to-import" }
+ */
+export function applyBackup(state, openings, mode) {
+    if (!IMPORT_MODES.includes(mode)) return { ok: false, reason: "unknown-mode" };
+    if (openings.length === 0) return { ok: false, reason: "nothing-to-import" };
+
+    if (mode === "replace") {
+        const replaced = state.openings.length;
+        state.openings = openings.slice();
+        state.activeOpeningId = openings[0].id;
+        return { ok: true, added: openings.length, replaced };
+    }
+
+    let added = 0;
+    let replaced = 0;
+
+    for (const o of openings) {
+        const index = mode === "merge" ? state.openings.findIndex((x) => x.id === o.id) : -1;
+
+        if (index !== -1) {
+            state.openings[index] = o;
+            replaced++;
+        } else {
+            state.openings.push(mode === "copy" ? { ...o, id: makeId() } : o);
+            added++;
+        }
+    }
+
+    return { ok: true, added, replaced };
+}
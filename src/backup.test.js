@@ -0,0 +1,88 @@
+// src/backup.test.js
+import { describe, it, expect } from "vitest";
+import { exportBackup, parseBackup, applyBackup } from "./backup.js";
+import { createEmptyAppState, createOpening, buildTreeFromLine } from "./tree.js";
+
+function stateWith(...openings) {
+    const state = createEmptyAppState();
+    state.openings.push(...openings);
+    state.activeOpeningId = openings[0]?.id ?? null;
+    return state;
+}
+
+describe("parseBackup", () => {
+    it("reads back what exportBackup wrote", () => {
+        const o = createOpening({ name: "Caro-Kann", trainAs: "black" });
+        o.root = buildTreeFromLine([{ from: "e2", to: "e4" }, { from: "c7", to: "c6" }]);
+
+        const res = parseBackup(exportBackup(stateWith(o)));
+
+        expect(res.ok).toBe(true);
+        expect(res.errors).toEqual([]);
+        expect(res.openings[0]).toMatchObject({ id: o.id, name: "Caro-Kann", trainAs: "black" });
+        expect(res.openings[0].root.children[0].children[0].move).toEqual({ from: "c7", to: "c6" });
+    });
+
+    it("reports broken openings one by one and keeps the valid ones", () => {
+        const good = createOpening({ name: "Good", trainAs: "white" });
+        const raw = JSON.parse(exportBackup(stateWith(good)));
+        raw.openings.push({ id: "x", name: "No tree", trainAs: "white" });
+        raw.openings.push({ name: "No id" });
+
+        const res = parseBackup(JSON.stringify(raw));
+
+        expect(res.openings.map((o) => o.name)).toEqual(["Good"]);
+        expect(res.errors.map((e) => [e.index, e.name])).toEqual([[1, "No tree"], [2, "No id"]]);
+    });
+
+    it("migrates old backups and rejects files that are no backup", () => {
+        const v1 = JSON.stringify({
+            schemaVersion: 1,
+            openings: [{ id: "o1", name: "Old", trainAs: "white", root: { move: null, children: [] } }],
+        });
+        expect(parseBackup(v1).openings[0].name).toBe("Old");
+
+        expect(parseBackup("{oops").reason).toBe("invalid-json");
+        expect(parseBackup('{"hello": 1}').reason).toBe("not-a-backup");
+        expect(parseBackup('{"schemaVersion": 99, "openings": []}').reason).toBe("unsupported-version");
+    });
+});
+
+describe("applyBackup", () => {
+    const existing = () => createOpening({ name: "Mine", trainAs: "white" });
+
+    it("replace swaps the whole repertoire", () => {
+        const state = stateWith(existing());
+        const incoming = createOpening({ name: "Theirs", trainAs: "black" });
+
+        expect(applyBackup(state, [incoming], "replace")).toEqual({ ok: true, added: 1, replaced: 1 });
+        expect(state.openings).toEqual([incoming]);
+        expect(state.activeOpeningId).toBe(incoming.id);
+    });
+
+    it("merge overwrites openings with the same id and appends the others", () => {
+        const mine = existing();
+        const state = stateWith(mine);
+        const updated = { ...mine, name: "Mine (team version)" };
+        const other = createOpening({ name: "Other", trainAs: "black" });
+
+        expect(applyBackup(state, [updated, other], "merge")).toEqual({ ok: true, added: 1, replaced: 1 });
+        expect(state.openings.map((o) => o.name)).toEqual(["Mine (team version)", "Other"]);
+    });
+
+    it("copy keeps everything and gives imported openings new ids", () => {
+        const mine = existing();
+        const state = stateWith(mine);
+
+        applyBackup(state, [{ ...mine }], "copy");
+
+        expect(state.openings).toHaveLength(2);
+        expect(state.openings[1].id).not.toBe(mine.id);
+    });
+
+    it("rejects unknown modes and empty imports", () => {
+        const state = stateWith(existing());
+        expect(applyBackup(state, [existing()], "append").reason).toBe("unknown-mode");
+        expect(applyBackup(state, [], "merge").reason).toBe("nothing-to-import");
+    });
+});
@@ -0,0 +1,124 @@
+// src/blunderCheck.js
+// Batch engine check of a whole opening tree (no DOM)
+//
+// Every position of the tree is evaluated once (transpositions share the result) with an
+// engine providing analyze(fen, { depth }) -> { score, bestmove } (see engine.js; scores
+// from the side to move). Each node gets the evaluation of the position after its move:
+//   node.eval = { score: { type, value } (white's point of view), depth, loss? }
+// - loss: centipawns the trainee's move gives away versus the engine's best move
+//   (user-side nodes only)
+
+import { Chess } from "chess.js";
+import { tryMove } from "./core.js";
+import { isUserNode } from "./srs.js";
+import { positionKey, openingStartFen, sideToMove } from "./positions.js";
+import { whiteScore, moveFromUci } from "./engine.js";
+
+export const DEFAULT_CHECK_DEPTH = 12;
+export const DEFAULT_BLUNDER_THRESHOLD = 150;
+
+const MATE_CP = 10000;
+
+/**
+ * Evaluate every node of `opening` and flag user moves losing more than `threshold` cp.
+ * - onProgress({ done, total }): after each evaluated position
+ * - signal: AbortSignal; an aborted check resolves with { ok: false, reason: "aborted" }
+ *
+ * Returns { ok: true, evaluated, flagged: [{ moves, sans, loss, best, node }] }
+ * (flagged sorted by loss, biggest first; best = engine's SAN in the position before).
+ * A finished check replaces all evaluations stored by earlier ones.
+ */
+export async function checkOpening(opening, engine, {
+    depth = DEFAULT_CHECK_DEPTH,
+    threshold = DEFAULT_BLUNDER_THRESHOLD,
+    onProgress,
+    signal,
+} = {}) {
+    const startFen = openingStartFen(opening);
+    const firstToMove = sideToMove(startFen);
+    const entries = collectPositions(opening.root, startFen);
+
+    // one engine call per distinct position
+    const positions = new Map();
+    for (const e of entries) if (!positions.has(positionKey(e.fen))) positions.set(positionKey(e.fen), e.fen);
+
+    const results = new Map();
+    for (const [key, fen] of positions) {
+        if (signal?.aborted) return { ok: false, reason: "aborted" };
+
+        results.set(key, (await engine.analyze(fen, { depth })) ?? { score: null, bestmove: null });
+        onProgress?.({ done: results.size, total: positions.size });
+    }
+    if (signal?.aborted) return { ok: false, reason: "aborted" };
+
+    // replace, don't mix: evals of another depth or of unreachable nodes must not survive
+    clearEvaluations(opening.root);
+    const flagged = [];
+
+    for (const { node, fen, depth: ply, parentFen, moves, sans } of entries) {
+        const res = results.get(positionKey(fen));
+        if (node === opening.root) continue;
+
+        node.eval = { score: whiteScore(res.score, fen), depth };
+        if (!isUserNode(ply, opening.trainAs, firstToMove)) continue;
+
+        const before = results.get(positionKey(parentFen));
+        if (!before.score || !res.score) continue;
+
+        // both from the mover's point of view: best available vs. what the move left
+        const loss = Math.max(0, toCp(before.score) + toCp(res.score));
+        node.eval.loss = loss;
+
+        if (loss > threshold) {
+            flagged.push({ moves, sans, loss, best: sanOf(parentFen, before.bestmove), node });
+        }
+    }
+
+    flagged.sort((a, b) => b.loss - a.loss);
+    return { ok: true, evaluated: positions.size, flagged };
+}
+
+/**
+ * Drop stored evaluations (e.g. after a depth change).
+ */
+export function clearEvaluations(root) {
+    delete root.eval;
+    for (const ch of root.children) clearEvaluations(ch);
+}
+
+// every node with the FEN after its move, the FEN before it and the moves leading there
+function collectPositions(root, startFen) {
+    const entries = [];
+    const chess = new Chess(startFen);
+
+    function dfs(node, depth, parentFen, moves, sans) {
+        entries.push({ node, fen: chess.fen(), depth, parentFen, moves, sans });
+
+        for (const ch of node.children) {
+            const fen = chess.fen();
+            const mv = tryMove(chess, ch.move);
+            if (!mv) continue; // illegal node: skip its subtree
+            dfs(ch, depth + 1, fen, [...moves, { ...ch.move }], [...sans, mv.san]);
+            chess.undo();
+        }
+    }
+
+    dfs(root, 0, null, [], []);
+    return entries;
+}
+
+// side-to-move score in centipawns; mates count as huge values
+function toCp(score) {
+    if (score.type === "cp") return score.value;
+    const sign = score.value > 0 ? 1 : -1;
+    return sign * (MATE_CP - Math.abs(score.value));
+}
+
+function sanOf(fen, uci) {
+    if (!uci) return null;
+    try {
+        return new Chess(fen).move(moveFromUci(uci)).san;
+    } catch {
+        return null;
+    }
+}
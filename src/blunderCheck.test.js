@@ -0,0 +1,94 @@
+// src/blunderCheck.test.js
+import { describe, it, expect } from "vitest";
+import { Chess } from "chess.js";
+import { checkOpening, clearEvaluations } from "./blunderCheck.js";
+import { createUciEngine, createFakeEngineTransport } from "./engine.js";
+import { positionKey } from "./positions.js";
+import { createOpening } from "./tree.js";
+import { importPgnIntoTree } from "./pgn.js";
+
+function fenAfter(sans) {
+    const chess = new Chess();
+    for (const san of sans) chess.move(san);
+    return chess.fen();
+}
+
+// 1.e4 e5 2.Nf3 (2.Qh5) Nc6 (2...f6??): scores from the side to move, 0 unless listed
+function fakeEngine() {
+    const scores = new Map([
+        [positionKey(fenAfter(["e4", "e5"])), { cp: 40, best: "g1f3" }],
+        [positionKey(fenAfter(["e4", "e5", "Nf3"])), { cp: -40, best: "b8c6" }],
+        [positionKey(fenAfter(["e4", "e5", "Qh5"])), { cp: 20, best: "b8c6" }],
+        [positionKey(fenAfter(["e4", "e5", "Nf3", "f6"])), { cp: 300, best: "f3e5" }],
+    ]);
+
+    return createUciEngine(createFakeEngineTransport((fen) => {
+        const s = scores.get(positionKey(fen)) ?? { cp: 0, best: new Chess(fen).moves({ verbose: true })[0]?.lan };
+        return { score: { type: "cp", value: s.cp }, pv: s.best ? [s.best] : [] };
+    }));
+}
+
+function sampleOpening(trainAs) {
+    const o = createOpening({ name: "Open game", trainAs });
+    importPgnIntoTree(o.root, "1. e4 e5 2. Nf3 (2. Qh5) 2... Nc6 (2... f6) *");
+    return o;
+}
+
+describe("checkOpening", () => {
+    it("flags user moves losing more than the threshold and stores evals on nodes", async () => {
+        const o = sampleOpening("white");
+        const progress = [];
+
+        const res = await checkOpening(o, fakeEngine(), { depth: 8, threshold: 50, onProgress: (p) => progress.push(p) });
+
+        expect(res.ok).toBe(true);
+        expect(res.evaluated).toBe(7);
+        expect(progress.at(-1)).toEqual({ done: 7, total: 7 });
+
+        // 2.Qh5 leaves black at +20 where 2.Nf3 kept +40 for white: loss 60
+        expect(res.flagged).toHaveLength(1);
+        expect(res.flagged[0]).toMatchObject({ sans: ["e4", "e5", "Qh5"], loss: 60, best: "Nf3" });
+
+        const [e4] = o.root.children;
+        const nf3 = e4.children[0].children[0];
+        expect(nf3.eval).toEqual({ score: { type: "cp", value: 40 }, depth: 8, loss: 0 });
+        // opponent moves get an eval but no loss
+        expect(e4.children[0].eval).toEqual({ score: { type: "cp", value: 40 }, depth: 8 });
+    });
+
+    it("checks the black side with the same engine scores", async () => {
+        const o = sampleOpening("black");
+        const res = await checkOpening(o, fakeEngine(), { threshold: 150 });
+
+        expect(res.flagged.map((f) => f.sans.at(-1))).toEqual(["f6"]);
+        expect(res.flagged[0]).toMatchObject({ loss: 260, best: "Nc6" });
+        expect(res.flagged[0].node.eval.score).toEqual({ type: "cp", value: 300 });
+
+        clearEvaluations(o.root);
+        expect(o.root.children[0].children[0]).not.toHaveProperty("eval");
+    });
+
+    it("stops when aborted", async () => {
+        const controller = new AbortController();
+        const res = await checkOpening(sampleOpening("white"), fakeEngine(), {
+            signal: controller.signal,
+            onProgress: () => controller.abort(),
+        });
+
+        expect(res).toEqual({ ok: false, reason: "aborted" });
+    });
+
+    it("replaces evaluations of an earlier check", async () => {
+        const o = sampleOpening("white");
+        const [e4] = o.root.children;
+        e4.eval = { score: { type: "cp", value: 999 }, depth: 30 };
+        // a node the new check can't reach (illegal move) must not keep its old eval
+        const stale = { move: { from: "e2", to: "e5" }, children: [], eval: { score: { type: "cp", value: 5 }, depth: 30 } };
+        e4.children[0].children.push(stale);
+
+        await checkOpening(o, fakeEngine(), { depth: 6 });
+
+        expect(e4.eval.depth).toBe(6);
+        expect(stale).not.toHaveProperty("eval");
+    });
+});
@@ -41,7 +41,7 @@ export function lichessAnalysisUrlFromFen(fen, orientation = "white") {
 
 /**
  * Build a lichess analysis URL from PGN movetext.
- * - Strips headers, comments and variations (naively) and creates a
+ * - Strips headers, comments and (nested) variations and creates a
  *   Lichess-compatible PGN move string.
  *
  * Notes: Very complex or non-standard PGNs might be handled imprecisely,
@@ -58,13 +58,16 @@ export function lichessAnalysisUrlFromPgn(pgn) {
     let movetext = (chunks.length > 1 ? chunks.slice(1).join("\n\n") : text);
 
     // Remove comments and variations (URL parser is picky)
-    movetext = movetext
-        .replace(/{[^}]*}/g, " ")     // {...}
-        .replace(/;[^\n]*/g, " ")    // ; comment
-        .replace(/\([^)]*\)/g, " "); // ( ... ) naive but fine for v1
+    movetext = stripVariations(
+        movetext
+            .replace(/{[^}]*}/g, " ")     // {...}
+            .replace(/;[^\n]*/g, " ")    // ; comment
+    );
 
-    // Normalize whitespace/newlines
-    movetext = movetext.replace(/\r?\n/g, " ").replace(/\s+/g, " ").trim();
+    // Normalize whitespace/newlines, drop "12..." continuation numbers left behind by sidelines
+    movetext = movetext
+        .replace(/\d+\.\.\.\s*/g, " ")
+        .replace(/\r?\n/g, " ").replace(/\s+/g, " ").trim();
 
     // Remove game termination markers if present
     movetext = movetext.replace(/\s*(1-0|0-1|1\/2-1\/2|\*)\s*$/, "").trim();
@@ -156,7 +159,24 @@ function clamp(n, min, max) {
     return Math.max(min, Math.min(max, n));
 }
 
-function escapeHtml(s) {
+function stripVariations(text) {
+    // drop everything inside ( ... ), including nested sidelines
+    let depth = 0;
+    let out = "";
+    for (const ch of text) {
+        if (ch === "(") {
+            depth++;
+        } else if (ch === ")") {
+            depth = Math.max(0, depth - 1);
+            out += " ";
+        } else if (depth === 0) {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+export function escapeHtml(s) {
     // escape SAN strings (e.g. "Nf3+") to avoid HTML injection
     return s
         .replaceAll("&", "&amp;")
@@ -268,13 +288,14 @@ export function migrateLegacyPgn({ legacyPgn, existingStudies }) {
 
 /**
  * Return true if it's the user's turn given the study color and current ply.
- * - ply is the cursor (0 = start, white to move)
+ * - ply is the cursor (0 = start position)
  * - studyColor is "white" or "black" (the user side)
+ * - firstToMove is the side to move at ply 0 ("black" for some custom FEN starts)
  */
-export function isUsersTurn(studyColor, ply) {
-    // White moves on odd plies? Actually ply counts half-moves: ply 0 -> white to move
-    // If ply is even, it's White to move; if odd, Black to move.
-    const whiteToMove = (ply % 2) === 0;
+export function isUsersTurn(studyColor, ply, firstToMove = "white") {
+    // ply counts half-moves: even plies have the starting side to move
+    const firstSideToMove = (ply % 2) === 0;
+    const whiteToMove = firstToMove === "black" ? !firstSideToMove : firstSideToMove;
     return studyColor === "white" ? whiteToMove : !whiteToMove;
 }
 
@@ -290,6 +311,25 @@ export function sameMove(a, b) {
     return pa === pb;
 }
 
+/**
+ * Play a move object (from/to/promotion) on a chess.js instance.
+ * Returns the chess.js move (with .san) or null if the move is illegal there.
+ */
+export function tryMove(chess, move) {
+    try {
+        return chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * UCI notation of a move object, e.g. "e2e4", "e7e8q".
+ */
+export function moveToUci(move) {
+    return `${move.from}${move.to}${move.promotion ?? ""}`;
+}
+
 /**
  * Return the expected move from fullLine at the given ply (the move that should be
  * played at that cursor position). Returns null when out of range.
@@ -348,10 +348,17 @@ describe("lichessAnalysisUrlFromPgn", () => {
         const url = lichessAnalysisUrlFromPgn(pgn);
         expect(url).toBe("https://lichess.org/analysis/pgn/1.e4+e5+2.Nf3");
     });
+
+    it("strips nested variations completely", () => {
+        const pgn = `1. e4 (1. d4 d5 (1... Nf6 2. c4) 2. c4) 1... e5 2. Nf3 *`;
+        const url = lichessAnalysisUrlFromPgn(pgn);
+        expect(url).toBe("https://lichess.org/analysis/pgn/1.e4+e5+2.Nf3");
+    });
 });
 
 // Training helper unit tests (TDD)
-import { isUsersTurn, sameMove, expectedMove } from "./core.js";
+import { Chess } from "chess.js";
+import { isUsersTurn, sameMove, expectedMove, tryMove, moveToUci } from "./core.js";
 
 describe("training helpers (pure)", () => {
     describe("isUsersTurn", () => {
@@ -361,6 +368,12 @@ describe("training helpers (pure)", () => {
             expect(isUsersTurn("black", 0)).toBe(false);
             expect(isUsersTurn("black", 1)).toBe(true);
         });
+
+        it("respects the side to move of a custom start position", () => {
+            expect(isUsersTurn("black", 0, "black")).toBe(true);
+            expect(isUsersTurn("black", 1, "black")).toBe(false);
+            expect(isUsersTurn("white", 1, "black")).toBe(true);
+        });
     });
 
     describe("sameMove", () => {
@@ -378,6 +391,20 @@ describe("training helpers (pure)", () => {
         });
     });
 
+    describe("tryMove / moveToUci", () => {
+        it("plays legal moves and returns null for illegal ones", () => {
+            const chess = new Chess();
+            expect(tryMove(chess, { from: "e2", to: "e4" })?.san).toBe("e4");
+            expect(tryMove(chess, { from: "e2", to: "e4" })).toBeNull();
+            expect(chess.history()).toEqual(["e4"]);
+        });
+
+        it("writes UCI notation with an optional promotion piece", () => {
+            expect(moveToUci({ from: "e2", to: "e4" })).toBe("e2e4");
+            expect(moveToUci({ from: "a7", to: "a8", promotion: "q" })).toBe("a7a8q");
+        });
+    });
+
     describe("expectedMove", () => {
         it("returns the next move at viewPly or null when out of range", () => {
             const line = [{ from: "e2", to: "e4" }, { from: "e7", to: "e5" }];
@@ -0,0 +1,288 @@
+// src/engine.js
+// UCI engine adapter (no DOM)
+//
+// The engine runs behind a transport: { post(cmd), onMessage(fn), onError?(fn), terminate() }.
+// In the browser that is a Web Worker running a Stockfish WASM build
+// (createWorkerTransport); tests and tools use createFakeEngineTransport instead.
+// Scores from the engine are from the side to move; whiteScore() turns them around.
+
+import { Chess } from "chess.js";
+import { moveToUci } from "./core.js";
+
+export const DEFAULT_DEPTH = 18;
+
+/**
+ * Web Worker speaking UCI over postMessage (one line per message).
+ */
+export function createWorkerTransport(url, { WorkerImpl = globalThis.Worker } = {}) {
+    const worker = new WorkerImpl(url);
+    return {
+        post: (cmd) => worker.postMessage(cmd),
+        onMessage: (fn) => worker.addEventListener("message", (e) => fn(e.data)),
+        onError: (fn) => worker.addEventListener("error", fn),
+        terminate: () => worker.terminate(),
+    };
+}
+
+/**
+ * Engine stand-in answering UCI commands with `evaluate(fen, depth)`:
+ * returns { score: { type: "cp" | "mate", value }, pv: ["e2e4", ...] } from the side to move.
+ * The default evaluation is a dead draw with the first legal move as best move.
+ * Replies are asynchronous like a worker's.
+ */
+export function createFakeEngineTransport(evaluate = drawishEvaluation) {
+    const listeners = [];
+    let fen = new Chess().fen();
+    let closed = false;
+
+    const reply = (...lines) => queueMicrotask(() => {
+        if (closed) return;
+        for (const line of lines) for (const fn of listeners) fn(line);
+    });
+
+    return {
+        post(cmd) {
+            const [name, ...args] = String(cmd).trim().split(/\s+/);
+
+            if (name === "uci") reply("id name FakeEngine", "uciok");
+            else if (name === "isready") reply("readyok");
+            else if (name === "position" && args[0] === "fen") fen = args.slice(1).join(" ");
+            else if (name === "position" && args[0] === "startpos") fen = new Chess().fen();
+            else if (name === "go") {
+                const depth = Number(args[args.indexOf("depth") + 1]) || DEFAULT_DEPTH;
+                const { score, pv } = evaluate(fen, depth);
+                reply(
+                    `info depth ${depth} multipv 1 score ${score.type} ${score.value} pv ${pv.join(" ")}`,
+                    `bestmove ${pv[0] ?? "(none)"}`,
+                );
+            }
+        },
+        onMessage: (fn) => listeners.push(fn),
+        terminate() {
+            closed = true;
+        },
+    };
+}
+
+function drawishEvaluation(fen) {
+    const move = new Chess(fen).moves({ verbose: true })[0];
+    return { score: { type: "cp", value: 0 }, pv: move ? [moveToUci(move)] : [] };
+}
+
+/**
+ * UCI client over a transport.
+ * - init(): handshake (uci / isready), resolves once; rejects if the transport fails
+ * - analyze(fen, { depth, onInfo }): resolves { depth, score, pv, bestmove } of the finished
+ *   search, or null if a newer analyze() call superseded it before it started
+ * - stop(): abort the running search (its analyze() resolves with what it has)
+ * - quit(): shut the engine down
+ */
+export function createUciEngine(transport) {
+    const listeners = new Set();
+    let failure = null;
+    let ready = null;
+    let running = null;
+    let searchId = 0;
+
+    transport.onMessage((data) => {
+        for (const line of String(data).split("\n")) {
+            for (const fn of [...listeners]) fn(line.trim());
+        }
+    });
+    transport.onError?.((e) => {
+        failure = new Error(`engine failed: ${e?.message ?? "worker error"}`);
+        for (const fn of [...listeners]) fn(null);
+    });
+
+    // resolves with the first line starting with `prefix`; register before posting the command
+    function waitFor(prefix) {
+        return new Promise((resolve, reject) => {
+            if (failure) return reject(failure);
+
+            const fn = (line) => {
+                if (line === null) {
+                    listeners.delete(fn);
+                    reject(failure);
+                } else if (line.startsWith(prefix)) {
+                    listeners.delete(fn);
+                    resolve(line);
+                }
+            };
+            listeners.add(fn);
+        });
+    }
+
+    function init() {
+        ready ??= (async () => {
+            const uciok = waitFor("uciok");
+            transport.post("uci");
+            await uciok;
+
+            const readyok = waitFor("readyok");
+            transport.post("isready");
+            await readyok;
+        })();
+        return ready;
+    }
+
+    async function analyze(fen, { depth = DEFAULT_DEPTH, onInfo } = {}) {
+        await init();
+
+        const id = ++searchId;
+        if (running) {
+            transport.post("stop");
+            await running.catch(() => {});
+        }
+        if (id !== searchId) return null;
+
+        let last = null;
+        const onLine = (line) => {
+            const info = line && parseUciInfo(line);
+            if (!info?.score || info.multipv > 1) return;
+            last = info;
+            onInfo?.(info);
+        };
+        listeners.add(onLine);
+
+        const search = waitFor("bestmove")
+            .then((line) => ({ depth: 0, score: null, pv: [], ...last, bestmove: parseBestMove(line) }))
+            .finally(() => listeners.delete(onLine));
+        running = search;
+
+        transport.post(`position fen ${fen}`);
+        transport.post(`go depth ${depth}`);
+
+        try {
+            return await search;
+        } finally {
+            if (running === search) running = null;
+        }
+    }
+
+    return {
+        init,
+        analyze,
+        stop() {
+            if (running) transport.post("stop");
+        },
+        quit() {
+            transport.post("quit");
+            transport.terminate();
+        },
+    };
+}
+
+/**
+ * Parse a UCI "info" line. Returns { depth, multipv, score, pv } or null for other lines
+ * and for bound scores (lowerbound/upperbound are not final).
+ */
+export function parseUciInfo(line) {
+    const tokens = String(line ?? "").trim().split(/\s+/);
+    if (tokens[0] !== "info") return null;
+
+    const info = { depth: 0, multipv: 1, score: null, pv: [] };
+
+    for (let i = 1; i < tokens.length; i++) {
+        const t = tokens[i];
+        if (t === "depth") info.depth = Number(tokens[++i]);
+        else if (t === "multipv") info.multipv = Number(tokens[++i]);
+        else if (t === "score") {
+            const type = tokens[++i];
+            const value = Number(tokens[++i]);
+            if (tokens[i + 1] === "lowerbound" || tokens[i + 1] === "upperbound") return null;
+            // "mate 0": the side to move is mated, i.e. a lost position (-0 keeps the sign)
+            if ((type === "cp" || type === "mate") && Number.isFinite(value)) {
+                info.score = { type, value: type === "mate" && value === 0 ? -0 : value };
+            }
+        } else if (t === "pv") {
+            info.pv = tokens.slice(i + 1);
+            break;
+        }
+    }
+
+    return info;
+}
+
+function parseBestMove(line) {
+    const move = line.split(/\s+/)[1];
+    return move && move !== "(none)" ? move : null;
+}
+
+/**
+ * Engine score (side to move) from white's point of view.
+ */
+export function whiteScore(score, fen) {
+    if (!score) return null;
+    const blackToMove = String(fen).trim().split(/\s+/)[1] === "b";
+    return blackToMove ? { type: score.type, value: -score.value } : { ...score };
+}
+
+/**
+ * "+0.34", "-1.20", "#3", "#-2" (white's point of view).
+ */
+export function formatScore(score) {
+    if (!score) return "";
+    if (score.type === "mate") return `#${score.value}`;
+    const pawns = score.value / 100;
+    return `${pawns > 0 ? "+" : ""}${pawns.toFixed(2)}`;
+}
+
+/**
+ * Share of the eval bar for white (0..100), from a white-POV score.
+ * Centipawns map through the usual winning-chances curve.
+ */
+export function evalBarPercent(score) {
+    if (!score) return 50;
+    if (score.type === "mate") return score.value > 0 || Object.is(score.value, 0) ? 100 : 0;
+
+    const chances = 2 / (1 + Math.exp(-0.00368208 * score.value)) - 1;
+    return 50 + 50 * chances;
+}
+
+/**
+ * SAN moves of a UCI principal variation (stops at the first illegal move).
+ */
+export function pvToSan(fen, pv, max = Infinity) {
+    const chess = new Chess(fen);
+    const sans = [];
+
+    for (const uci of pv.slice(0, max)) {
+        try {
+            sans.push(chess.move(moveFromUci(uci)).san);
+        } catch {
+            break;
+        }
+    }
+
+    return sans;
+}
+
+/**
+ * Principal variation as numbered SAN text, e.g. "12... Nf6 13. Bg5 h6".
+ */
+export function pvText(fen, pv, max = 8) {
+    const sans = pvToSan(fen, pv, max);
+    const [, turn, , , , fullmove] = String(fen).trim().split(/\s+/);
+    let number = Number(fullmove) || 1;
+    let white = turn !== "b";
+
+    const out = [];
+    sans.forEach((san, i) => {
+        if (white) out.push(`${number}. ${san}`);
+        else out.push(i === 0 ? `${number}... ${san}` : san);
+        if (!white) number++;
+        white = !white;
+    });
+    return out.join(" ");
+}
+
+/**
+ * "e7e8q" -> { from: "e7", to: "e8", promotion: "q" }
+ */
+export function moveFromUci(uci) {
+    return {
+        from: uci.slice(0, 2),
+        to: uci.slice(2, 4),
+        ...(uci.length > 4 ? { promotion: uci[4] } : {}),
+    };
+}
@@ -0,0 +1,117 @@
+// src/engine.test.js
+import { describe, it, expect } from "vitest";
+import {
+    createUciEngine,
+    createFakeEngineTransport,
+    parseUciInfo,
+    whiteScore,
+    formatScore,
+    evalBarPercent,
+    pvToSan,
+    pvText,
+    moveFromUci,
+} from "./engine.js";
+
+const START = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+const AFTER_E4 = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+
+describe("parseUciInfo", () => {
+    it("reads depth, score and principal variation", () => {
+        expect(parseUciInfo("info depth 20 seldepth 28 multipv 1 score cp -35 nodes 123 pv e7e5 g1f3 b8c6")).toEqual({
+            depth: 20,
+            multipv: 1,
+            score: { type: "cp", value: -35 },
+            pv: ["e7e5", "g1f3", "b8c6"],
+        });
+        expect(parseUciInfo("info depth 5 score mate 3 pv h5f7").score).toEqual({ type: "mate", value: 3 });
+    });
+
+    it("ignores other lines and bound scores", () => {
+        expect(parseUciInfo("bestmove e2e4")).toBeNull();
+        expect(parseUciInfo("info depth 12 score cp 40 lowerbound pv e2e4")).toBeNull();
+        expect(parseUciInfo("info string NNUE enabled").score).toBeNull();
+    });
+});
+
+describe("scores", () => {
+    it("turns side-to-move scores into white's point of view", () => {
+        expect(whiteScore({ type: "cp", value: 30 }, AFTER_E4)).toEqual({ type: "cp", value: -30 });
+        expect(whiteScore({ type: "mate", value: -2 }, START)).toEqual({ type: "mate", value: -2 });
+        expect(whiteScore(null, START)).toBeNull();
+    });
+
+    it("formats scores and maps them onto the eval bar", () => {
+        expect(formatScore({ type: "cp", value: 34 })).toBe("+0.34");
+        expect(formatScore({ type: "cp", value: -120 })).toBe("-1.20");
+        expect(formatScore({ type: "mate", value: -2 })).toBe("#-2");
+
+        expect(evalBarPercent(null)).toBe(50);
+        expect(evalBarPercent({ type: "cp", value: 0 })).toBe(50);
+        expect(evalBarPercent({ type: "cp", value: 300 })).toBeGreaterThan(75);
+        expect(evalBarPercent({ type: "cp", value: -300 })).toBeLessThan(25);
+        expect(evalBarPercent({ type: "mate", value: 1 })).toBe(100);
+        expect(evalBarPercent(whiteScore(parseUciInfo("info depth 0 score mate 0").score, START))).toBe(0);
+    });
+});
+
+describe("principal variation", () => {
+    it("converts UCI moves to numbered SAN", () => {
+        expect(moveFromUci("e7e8q")).toEqual({ from: "e7", to: "e8", promotion: "q" });
+        expect(pvToSan(START, ["e2e4", "e7e5", "a1a5", "g1f3"])).toEqual(["e4", "e5"]);
+        expect(pvText(START, ["e2e4", "e7e5", "g1f3"])).toBe("1. e4 e5 2. Nf3");
+        expect(pvText(AFTER_E4, ["c7c5", "g1f3"])).toBe("1... c5 2. Nf3");
+    });
+});
+
+describe("createUciEngine", () => {
+    it("handshakes once and analyzes positions with the fake engine", async () => {
+        const sent = [];
+        const transport = createFakeEngineTransport((fen) => ({
+            score: { type: "cp", value: fen === START ? 25 : -25 },
+            pv: fen === START ? ["e2e4", "e7e5"] : ["e7e5"],
+        }));
+        const post = transport.post;
+        transport.post = (cmd) => {
+            sent.push(cmd);
+            post(cmd);
+        };
+
+        const engine = createUciEngine(transport);
+        const infos = [];
+        const res = await engine.analyze(START, { depth: 10, onInfo: (i) => infos.push(i) });
+
+        expect(res).toMatchObject({ depth: 10, score: { type: "cp", value: 25 }, pv: ["e2e4", "e7e5"], bestmove: "e2e4" });
+        expect(infos).toHaveLength(1);
+
+        await engine.analyze(AFTER_E4, { depth: 10 });
+        expect(sent.filter((c) => c === "uci")).toHaveLength(1);
+        expect(sent).toContain(`position fen ${AFTER_E4}`);
+    });
+
+    it("skips analyses superseded before they started", async () => {
+        const engine = createUciEngine(createFakeEngineTransport());
+
+        const first = engine.analyze(START, { depth: 5 });
+        const second = engine.analyze(START, { depth: 5 });
+        const third = engine.analyze(AFTER_E4, { depth: 5 });
+
+        const results = await Promise.all([first, second, third]);
+        expect(results[1]).toBeNull();
+        expect(results[2].bestmove).toMatch(/^[a-h][1-8][a-h][1-8]/);
+    });
+
+    it("rejects when the transport fails", async () => {
+        let fail = null;
+        const engine = createUciEngine({
+            post() {},
+            onMessage() {},
+            onError: (fn) => { fail = fn; },
+            terminate() {},
+        });
+
+        const pending = engine.init();
+        fail(new Error("404"));
+        await expect(pending).rejects.toThrow(/engine failed: 404/);
+        await expect(engine.analyze(START)).rejects.toThrow(/engine failed/);
+    });
+});
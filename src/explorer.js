@@ -0,0 +1,188 @@
+// src/explorer.js
+// Local opening explorer built from an imported PGN collection (no DOM)
+//
+// The index counts, per position, which moves were played in the database games and how
+// those games ended. It is plain JSON, stored as one value record (EXPLORER_RECORD_KEY):
+//   { version, games, positions: { [positionKey]: { [uci]: [games, white, draws, black, ratingSum, rated] } } }
+// - white / draws / black: results of the games that went on with the move
+// - ratingSum / rated: sum and count of the players' average rating (games with Elo headers)
+// Moves are stored as arrays to keep big collections small; only the first
+// EXPLORER_MAX_PLIES plies of each game are indexed.
+
+import { Chess } from "chess.js";
+import { isUsersTurn, tryMove, moveToUci } from "./core.js";
+import { positionKey, openingStartFen, sideToMove, buildPositionIndex, STANDARD_START_FEN } from "./positions.js";
+import { parsePgn } from "./pgn.js";
+import { moveFromUci } from "./engine.js";
+
+export const EXPLORER_RECORD_KEY = "explorer";
+export const EXPLORER_VERSION = 1;
+export const EXPLORER_MAX_PLIES = 24;
+export const DEFAULT_GAP_SHARE = 0.1;
+
+const RESULT_SLOT = { "1-0": 1, "1/2-1/2": 2, "0-1": 3 };
+
+export function createExplorerIndex() {
+    return { version: EXPLORER_VERSION, games: 0, positions: {} };
+}
+
+/**
+ * Stored index, or a fresh one if the value is missing or of an unknown shape.
+ */
+export function normalizeExplorerIndex(value) {
+    if (!value || value.version !== EXPLORER_VERSION || typeof value.positions !== "object" || !value.positions) {
+        return createExplorerIndex();
+    }
+    return { version: EXPLORER_VERSION, games: Number(value.games) || 0, positions: value.positions };
+}
+
+/**
+ * Add every game of `pgnText` to `index` (mutated). A game's FEN header is its start position;
+ * an illegal move ends the game there. Only main lines are indexed.
+ *
+ * Returns { ok, added, errors: [{ index, ply, san, reason }] } (ok is false if no game was parsed)
+ */
+export function addGamesToExplorer(index, pgnText, { maxPlies = EXPLORER_MAX_PLIES } = {}) {
+    const parsed = parsePgn(pgnText);
+    if (parsed.length === 0) return { ok: false, reason: "no-games", added: 0, errors: [] };
+
+    const errors = [];
+    let added = 0;
+
+    parsed.forEach((g, i) => {
+        let chess;
+        try {
+            chess = new Chess(g.headers.FEN ?? STANDARD_START_FEN);
+        } catch {
+            errors.push({ index: i, ply: 0, san: null, reason: "invalid-fen" });
+            return;
+        }
+
+        const slot = RESULT_SLOT[g.headers.Result ?? g.result] ?? null;
+        const rating = averageRating(g.headers);
+
+        for (const [ply, { san }] of g.moves.slice(0, maxPlies).entries()) {
+            const key = positionKey(chess.fen());
+            let mv;
+            try {
+                mv = chess.move(san);
+            } catch {
+                errors.push({ index: i, ply: ply + 1, san, reason: "illegal-move" });
+                break;
+            }
+
+            const moves = (index.positions[key] ??= {});
+            const stats = (moves[moveToUci(mv)] ??= [0, 0, 0, 0, 0, 0]);
+            stats[0]++;
+            if (slot) stats[slot]++;
+            if (rating !== null) {
+                stats[4] += rating;
+                stats[5]++;
+            }
+        }
+
+        index.games++;
+        added++;
+    });
+
+    return { ok: true, added, errors };
+}
+
+/**
+ * Number of database games that reached `fen` (within the indexed plies).
+ */
+export function positionGames(index, fen) {
+    const moves = index?.positions[positionKey(fen)];
+    if (!moves) return 0;
+    return Object.values(moves).reduce((sum, s) => sum + s[0], 0);
+}
+
+/**
+ * Moves played in `fen`, most played first:
+ * [{ uci, move: { from, to, promotion? }, san, games, share, white, draws, black, avgRating }]
+ * - share: fraction of the position's games; white/draws/black: fractions of the decided games
+ * - avgRating: null if no game had ratings
+ */
+export function explorerMoves(index, fen) {
+    const moves = index?.positions[positionKey(fen)];
+    if (!moves) return [];
+
+    const total = positionGames(index, fen);
+    const chess = new Chess(fen);
+    const out = [];
+
+    for (const [uci, [games, white, draws, black, ratingSum, rated]] of Object.entries(moves)) {
+        const move = moveFromUci(uci);
+        let san;
+        try {
+            san = chess.move(move).san;
+            chess.undo();
+        } catch {
+            continue; // stale entry for another position with the same key
+        }
+
+        const decided = white + draws + black;
+        out.push({
+            uci,
+            move,
+            san,
+            games,
+            share: games / total,
+            white: decided > 0 ? white / decided : 0,
+            draws: decided > 0 ? draws / decided : 0,
+            black: decided > 0 ? black / decided : 0,
+            avgRating: rated > 0 ? Math.round(ratingSum / rated) : null,
+        });
+    }
+
+    return out.sort((a, b) => b.games - a.games);
+}
+
+/**
+ * Opponent-side positions of `opening` where a database reply with at least `minShare`
+ * of the position's games has no node in the tree (transpositions count as covered).
+ * Lines ending in the tree are deliberate ends and are skipped unless `includeLeaves`.
+ *
+ * Returns [{ moves, sans, reached, replies: [explorerMove] }] sorted by `reached`
+ * (database games reaching the position), most reached first.
+ */
+export function findRepertoireGaps(opening, index, { minShare = DEFAULT_GAP_SHARE, includeLeaves = false } = {}) {
+    const startFen = openingStartFen(opening);
+    const firstToMove = sideToMove(startFen);
+    const positions = buildPositionIndex(opening.root, startFen);
+    const chess = new Chess(startFen);
+    const seen = new Set();
+    const gaps = [];
+
+    function visit(node, ply, moves, sans) {
+        const fen = chess.fen();
+        const key = positionKey(fen);
+
+        if (!seen.has(key) && !isUsersTurn(opening.trainAs, ply, firstToMove)) {
+            seen.add(key);
+
+            const covered = positions.get(key).flatMap((e) => e.node.children.map((c) => moveToUci(c.move)));
+            if (covered.length > 0 || includeLeaves) {
+                const replies = explorerMoves(index, fen)
+                    .filter((m) => m.share >= minShare && !covered.includes(m.uci));
+                if (replies.length > 0) gaps.push({ moves, sans, reached: positionGames(index, fen), replies });
+            }
+        }
+
+        for (const ch of node.children) {
+            const mv = tryMove(chess, ch.move);
+            if (!mv) continue; // illegal node: skip its subtree
+            visit(ch, ply + 1, [...moves, { ...ch.move }], [...sans, mv.san]);
+            chess.undo();
+        }
+    }
+
+    visit(opening.root, 0, [], []);
+    return gaps.sort((a, b) => b.reached - a.reached);
+}
+
+function averageRating(headers) {
+    const ratings = [headers.WhiteElo, headers.BlackElo].map(Number).filter((r) => Number.isFinite(r) && r > 0);
+    if (ratings.length === 0) return null;
+    return ratings.reduce((a, b) => a + b, 0) / ratings.length;
+}
@@ -0,0 +1,120 @@
+// src/explorer.test.js
+import { describe, it, expect } from "vitest";
+import { Chess } from "chess.js";
+import {
+    createExplorerIndex,
+    normalizeExplorerIndex,
+    addGamesToExplorer,
+    explorerMoves,
+    positionGames,
+    findRepertoireGaps,
+} from "./explorer.js";
+import { STANDARD_START_FEN } from "./positions.js";
+import { createOpening } from "./tree.js";
+import { importPgnIntoTree } from "./pgn.js";
+
+function fenAfter(sans) {
+    const chess = new Chess();
+    for (const san of sans) chess.move(san);
+    return chess.fen();
+}
+
+function game(moves, result, whiteElo = 2000, blackElo = 1800) {
+    return `[Result "${result}"]\n[WhiteElo "${whiteElo}"]\n[BlackElo "${blackElo}"]\n\n${moves} ${result}\n\n`;
+}
+
+// 1.e4: 4× e5, 3× c5, 2× e6, 1× d5
+const DATABASE = [
+    game("1. e4 e5 2. Nf3 Nc6", "1-0"),
+    game("1. e4 e5 2. Nf3 d6", "1/2-1/2"),
+    game("1. e4 e5 2. Nf3 Nc6", "0-1"),
+    game("1. e4 e5 2. Bc4", "1-0"),
+    game("1. e4 c5 2. Nf3", "0-1"),
+    game("1. e4 c5 2. Nc3", "1-0"),
+    game("1. e4 c5 2. Nf3 d6", "*"),
+    game("1. e4 e6 2. d4 d5", "1-0"),
+    game("1. e4 e6 2. d4 d5", "1-0"),
+    game("1. e4 d5", "0-1"),
+].join("");
+
+function database() {
+    const index = createExplorerIndex();
+    addGamesToExplorer(index, DATABASE);
+    return index;
+}
+
+describe("addGamesToExplorer / explorerMoves", () => {
+    it("counts moves, results and ratings per position", () => {
+        const index = database();
+        expect(index.games).toBe(10);
+        expect(positionGames(index, STANDARD_START_FEN)).toBe(10);
+
+        const replies = explorerMoves(index, fenAfter(["e4"]));
+        expect(replies.map((m) => [m.san, m.games])).toEqual([["e5", 4], ["c5", 3], ["e6", 2], ["d5", 1]]);
+
+        const [e5] = replies;
+        expect(e5).toMatchObject({ uci: "e7e5", move: { from: "e7", to: "e5" }, share: 0.4, avgRating: 1900 });
+        expect(e5.white).toBeCloseTo(0.5);
+        expect(e5.draws).toBeCloseTo(0.25);
+        expect(e5.black).toBeCloseTo(0.25);
+
+        // undecided games count as games, not in the result split
+        const c5 = replies[1];
+        expect(c5.white + c5.draws + c5.black).toBeCloseTo(1);
+        expect(c5.white).toBeCloseTo(0.5);
+    });
+
+    it("stops a game at an illegal move and at the ply limit", () => {
+        const index = createExplorerIndex();
+        const res = addGamesToExplorer(index, game("1. e4 e5 2. Ke3", "*") + game("1. d4 d5 2. c4 e6", "*"), { maxPlies: 3 });
+
+        expect(res).toMatchObject({ ok: true, added: 2 });
+        expect(res.errors).toEqual([{ index: 0, ply: 3, san: "Ke3", reason: "illegal-move" }]);
+        expect(explorerMoves(index, fenAfter(["d4", "d5"])).map((m) => m.san)).toEqual(["c4"]);
+        expect(explorerMoves(index, fenAfter(["d4", "d5", "c4"]))).toEqual([]);
+        expect(positionGames(index, fenAfter(["d4"]))).toBe(1);
+    });
+
+    it("fails on text without games and survives storage round trips", () => {
+        expect(addGamesToExplorer(createExplorerIndex(), "").ok).toBe(false);
+
+        const index = database();
+        expect(normalizeExplorerIndex(JSON.parse(JSON.stringify(index)))).toEqual(index);
+        expect(normalizeExplorerIndex({ version: 99 })).toEqual(createExplorerIndex());
+        expect(normalizeExplorerIndex(null)).toEqual(createExplorerIndex());
+    });
+});
+
+describe("findRepertoireGaps", () => {
+    it("lists frequent opponent replies without a node, most reached position first", () => {
+        const o = createOpening({ name: "1.e4", trainAs: "white" });
+        importPgnIntoTree(o.root, "1. e4 e5 (1... c5 2. Nf3) 2. Nf3 Nc6 *");
+
+        const gaps = findRepertoireGaps(o, database(), { minShare: 0.2 });
+
+        expect(gaps.map((g) => [g.sans, g.reached, g.replies.map((r) => r.san)])).toEqual([
+            [["e4"], 10, ["e6"]],
+            [["e4", "e5", "Nf3"], 3, ["d6"]],
+        ]);
+        expect(gaps[0].moves).toEqual([{ from: "e2", to: "e4" }]);
+    });
+
+    it("skips line ends unless asked", () => {
+        const o = createOpening({ name: "1.e4", trainAs: "white" });
+        importPgnIntoTree(o.root, "1. e4 e5 (1... c5) (1... e6) (1... d5) 2. Nf3 *");
+
+        expect(findRepertoireGaps(o, database(), { minShare: 0.1 })).toEqual([]);
+
+        const leaves = findRepertoireGaps(o, database(), { minShare: 0.1, includeLeaves: true });
+        expect(leaves.map((g) => [g.sans, g.replies.map((r) => r.san)])).toEqual([[["e4", "e5", "Nf3"], ["Nc6", "d6"]]]);
+    });
+
+    it("counts replies prepared in a transposing line as covered", () => {
+        // 1.d4 e6 2.e4 ends, but the same position is answered in the 1.e4 e6 2.d4 line
+        const o = createOpening({ name: "French", trainAs: "white" });
+        importPgnIntoTree(o.root, "1. d4 (1. e4 e6 2. d4 d5) 1... e6 2. e4 *");
+
+        const gaps = findRepertoireGaps(o, database(), { minShare: 0.1, includeLeaves: true });
+        expect(gaps.map((g) => [g.sans, g.replies.map((r) => r.san)])).toEqual([[["e4"], ["e5", "c5", "d5"]]]);
+    });
+});
@@ -0,0 +1,170 @@
+// src/gameReview.js
+// Compare played games against the repertoire (no DOM)
+//
+// Each game of a PGN export (Lichess, Chess.com, ...) is walked through the opening tree it
+// follows longest among the openings trained with our color. The report names the first ply
+// that is not covered by the tree:
+// - "we-left-book": our move differs from the prepared moves
+// - "opponent-unprepared": the opponent played a move the tree has no answer for
+// - "end-of-tree": the line ends in the tree while the game went on
+// - "in-book": the game ended before leaving the tree
+// Only the main line of a game counts; variations and comments are ignored.
+
+import { Chess } from "chess.js";
+import { sameMove, tryMove } from "./core.js";
+import { isUserNode } from "./srs.js";
+import { parsePgn, gameLabel } from "./pgn.js";
+import { positionKey, openingStartFen, sideToMove, STANDARD_START_FEN } from "./positions.js";
+
+export const DEVIATION_KINDS = ["we-left-book", "opponent-unprepared", "end-of-tree"];
+
+/**
+ * Review every game of `pgnText` against `openings`.
+ * - player: our name in the White/Black headers (case-insensitive). Without it, our color is
+ *   taken from the openings: if trees of both colors follow the game, it is "ambiguous-color".
+ *
+ * Returns { ok, games: [GameReview] } (ok is false if no game could be parsed)
+ *
+ * GameReview: { index, label, color, openingId, kind, ply, line, sans, played, prepared }
+ * - kind: a deviation kind, "in-book", or "no-opening" / "unknown-player" /
+ *   "ambiguous-color" / "illegal-move" (then openingId may be null)
+ * - ply: 1-based ply of the first move outside the tree (null if in book)
+ * - line / sans: moves before that ply (the position of the hole)
+ * - played: SAN played there, prepared: SANs the tree has there
+ */
+export function reviewGames(pgnText, openings, { player = "" } = {}) {
+    const parsed = parsePgn(pgnText);
+    if (parsed.length === 0) return { ok: false, reason: "no-games", games: [] };
+
+    const games = parsed.map((g, index) => ({
+        index,
+        label: gameLabel(g, index),
+        ...reviewGame(g, openings, player),
+    }));
+
+    return { ok: true, games };
+}
+
+/**
+ * Holes shared by several games, per opening:
+ * Map<openingId, [{ kind, line, sans, count, played: [{ san, count }] }]>
+ * (most frequent first, at most `limit` per opening; "in-book" games are no holes)
+ */
+export function commonHoles(games, limit = 10) {
+    const byOpening = new Map();
+
+    for (const g of games) {
+        if (!g.openingId || !DEVIATION_KINDS.includes(g.kind)) continue;
+        if (!byOpening.has(g.openingId)) byOpening.set(g.openingId, new Map());
+
+        const holes = byOpening.get(g.openingId);
+        const key = `${g.kind} ${g.sans.join(" ")}`;
+        if (!holes.has(key)) holes.set(key, { kind: g.kind, line: g.line, sans: g.sans, count: 0, played: new Map() });
+
+        const hole = holes.get(key);
+        hole.count++;
+        if (g.played) hole.played.set(g.played, (hole.played.get(g.played) ?? 0) + 1);
+    }
+
+    const out = new Map();
+    for (const [openingId, holes] of byOpening) {
+        out.set(openingId, [...holes.values()]
+            .map((h) => ({
+                ...h,
+                played: [...h.played].map(([san, count]) => ({ san, count })).sort((a, b) => b.count - a.count),
+            }))
+            .sort((a, b) => b.count - a.count || a.sans.length - b.sans.length)
+            .slice(0, limit));
+    }
+    return out;
+}
+
+function reviewGame(game, openings, player) {
+    const fen = game.headers.FEN ?? STANDARD_START_FEN;
+
+    let color = null;
+    if (player) {
+        color = playerColor(game.headers, player);
+        if (!color) return missing("unknown-player", color);
+    }
+
+    const candidates = openings.filter((o) =>
+        (!color || o.trainAs === color) && positionKey(openingStartFen(o)) === positionKey(fen),
+    );
+    if (candidates.length === 0) return missing("no-opening", color);
+
+    // per color, the opening the game stays in longest (first one on ties)
+    const best = new Map();
+    for (const o of candidates) {
+        const res = walkGame(o, game.moves);
+        if (res.kind === "illegal-move") return { ...missing("illegal-move", color), ply: res.ply, played: res.played };
+
+        const current = best.get(o.trainAs);
+        if (!current || res.line.length > current.line.length) best.set(o.trainAs, { ...res, color: o.trainAs, openingId: o.id });
+    }
+
+    // the deviation kinds depend on our color: never pick it by tree length
+    if (best.size === 1) return [...best.values()][0];
+    const followed = [...best.values()].filter((r) => r.line.length > 0);
+    return followed.length === 1 ? followed[0] : missing("ambiguous-color", null);
+}
+
+// follow the game's main line down the opening tree
+function walkGame(opening, moves) {
+    const startFen = openingStartFen(opening);
+    const firstToMove = sideToMove(startFen);
+    const chess = new Chess(startFen);
+
+    let node = opening.root;
+    const line = [];
+    const sans = [];
+
+    for (const [i, { san }] of moves.entries()) {
+        let mv;
+        try {
+            mv = chess.move(san, { strict: false }); // as lenient as the importer
+        } catch {
+            return { kind: "illegal-move", ply: i + 1, line, sans, played: san, prepared: [] };
+        }
+
+        const move = { from: mv.from, to: mv.to, ...(mv.promotion ? { promotion: mv.promotion } : {}) };
+        const child = node.children.find((c) => sameMove(c.move, move));
+
+        if (!child) {
+            let kind = "end-of-tree";
+            if (node.children.length > 0) {
+                kind = isUserNode(i + 1, opening.trainAs, firstToMove) ? "we-left-book" : "opponent-unprepared";
+            }
+            chess.undo();
+            return { kind, ply: i + 1, line, sans, played: mv.san, prepared: childSans(chess, node) };
+        }
+
+        node = child;
+        line.push(move);
+        sans.push(mv.san);
+    }
+
+    return { kind: "in-book", ply: null, line, sans, played: null, prepared: childSans(chess, node) };
+}
+
+function childSans(chess, node) {
+    const sans = [];
+    for (const c of node.children) {
+        const mv = tryMove(chess, c.move);
+        if (!mv) continue; // illegal node: nothing to suggest
+        sans.push(mv.san);
+        chess.undo();
+    }
+    return sans;
+}
+
+function playerColor(headers, player) {
+    const name = player.trim().toLowerCase();
+    if ((headers.White ?? "").trim().toLowerCase() === name) return "white";
+    if ((headers.Black ?? "").trim().toLowerCase() === name) return "black";
+    return null;
+}
+
+function missing(kind, color) {
+    return { color, openingId: null, kind, ply: null, line: [], sans: [], played: null, prepared: [] };
+}
@@ -0,0 +1,128 @@
+// src/gameReview.test.js
+import { describe, it, expect } from "vitest";
+import { reviewGames, commonHoles } from "./gameReview.js";
+import { createOpening } from "./tree.js";
+import { importPgnIntoTree } from "./pgn.js";
+
+function opening(name, trainAs, pgn) {
+    const o = createOpening({ name, trainAs });
+    importPgnIntoTree(o.root, pgn);
+    return o;
+}
+
+// white: 1.e4 e5 (1...c5 2.Nf3) 2.Nf3 Nc6 3.Bb5 / black: 1.e4 c5 2.Nf3 d6 (no answer to 1.d4)
+function repertoire() {
+    return [
+        opening("Spanish", "white", "1. e4 e5 (1... c5 2. Nf3) 2. Nf3 Nc6 3. Bb5 *"),
+        opening("Sicilian", "black", "1. e4 c5 2. Nf3 d6 *"),
+    ];
+}
+
+function game(white, black, moves, result = "*") {
+    return `[White "${white}"]\n[Black "${black}"]\n\n${moves} ${result}\n\n`;
+}
+
+describe("reviewGames", () => {
+    it("reports the first ply outside the tree by kind", () => {
+        const [spanish, sicilian] = repertoire();
+        const pgn = [
+            game("me", "x", "1. e4 e5 2. Bc4 Nf6"),           // we left the book
+            game("me", "x", "1. e4 d5 2. exd5 Qxd5"),         // opponent unprepared
+            game("me", "x", "1. e4 e5 2. Nf3 Nc6 3. Bb5 a6"), // tree ends after 3.Bb5
+            game("x", "me", "1. e4 c5 2. Nf3"),               // still in book
+        ].join("");
+
+        const res = reviewGames(pgn, [spanish, sicilian], { player: "Me" });
+        expect(res.ok).toBe(true);
+
+        const [left, unprepared, ended, inBook] = res.games;
+        expect(left).toMatchObject({ color: "white", openingId: spanish.id, kind: "we-left-book", ply: 3, played: "Bc4", prepared: ["Nf3"] });
+        expect(left.sans).toEqual(["e4", "e5"]);
+        expect(unprepared).toMatchObject({ kind: "opponent-unprepared", ply: 2, played: "d5", prepared: ["e5", "c5"] });
+        expect(ended).toMatchObject({ kind: "end-of-tree", ply: 6, played: "a6", prepared: [] });
+        expect(inBook).toMatchObject({ color: "black", openingId: sicilian.id, kind: "in-book", ply: null, prepared: ["d6"] });
+    });
+
+    it("takes our color from the openings when no player is given", () => {
+        const [, sicilian] = repertoire();
+        const black = [opening("Sicilian", "black", "1. e4 c5 2. Nf3 d6 *"), opening("Sicilian Najdorf", "black", "1. e4 c5 2. Nf3 d6 3. d4 cxd4 *")];
+
+        // only black trees: the longest one wins
+        const deeper = reviewGames(game("a", "b", "1. e4 c5 2. Nf3 d6 3. d4 cxd4 4. Nxd4"), black);
+        expect(deeper.games[0]).toMatchObject({ openingId: black[1].id, color: "black", kind: "end-of-tree", ply: 7 });
+
+        // trees of both colors, but only the white one follows the game
+        const queens = opening("Queen's Gambit", "white", "1. d4 d5 2. c4 *");
+        const white = reviewGames(game("a", "b", "1. d4 d5 2. Nf3"), [queens, sicilian]);
+        expect(white.games[0]).toMatchObject({ openingId: queens.id, color: "white", kind: "we-left-book", ply: 3 });
+    });
+
+    it("reports an ambiguous color when trees of both colors follow the game", () => {
+        const [spanish, sicilian] = repertoire();
+        const res = reviewGames(game("a", "b", "1. e4 c5 2. Nf3 Nc6"), [spanish, sicilian]);
+
+        expect(res.games[0]).toMatchObject({ kind: "ambiguous-color", color: null, openingId: null });
+
+        // with a player name the color is known
+        const named = reviewGames(game("a", "b", "1. e4 c5 2. Nf3 Nc6"), [spanish, sicilian], { player: "b" });
+        expect(named.games[0]).toMatchObject({ openingId: sicilian.id, kind: "we-left-book", ply: 4 });
+    });
+
+    it("accepts SAN the importer accepts, like overdisambiguated moves", () => {
+        const [spanish] = repertoire();
+        const res = reviewGames(game("me", "x", "1. e4 e5 2. Ngf3 Nc6 3. Bb5"), [spanish], { player: "me" });
+        expect(res.games[0]).toMatchObject({ kind: "in-book", sans: ["e4", "e5", "Nf3", "Nc6", "Bb5"] });
+    });
+
+    it("flags games without a matching player, opening or legal moves", () => {
+        const [spanish] = repertoire();
+        const pgn = [
+            game("a", "b", "1. e4 e5"),
+            game("x", "me", "1. d4 d5"),
+            game("me", "x", "1. e4 e5 2. Ke3"),
+        ].join("");
+
+        const res = reviewGames(pgn, [spanish], { player: "me" });
+        expect(res.games.map((g) => g.kind)).toEqual(["unknown-player", "no-opening", "illegal-move"]);
+        expect(res.games[2]).toMatchObject({ ply: 3, played: "Ke3" });
+    });
+
+    it("fails on text without games", () => {
+        expect(reviewGames("", repertoire())).toEqual({ ok: false, reason: "no-games", games: [] });
+    });
+});
+
+describe("commonHoles", () => {
+    it("groups deviations by position and kind, most frequent first", () => {
+        const [spanish, sicilian] = repertoire();
+        const pgn = [
+            game("me", "x", "1. e4 d5"),
+            game("me", "x", "1. e4 e6"),
+            game("me", "x", "1. e4 d5 2. exd5"),
+            game("me", "x", "1. e4 e5 2. Bc4"),
+            game("me", "x", "1. e4 e5 2. Nf3"),
+            game("x", "me", "1. d4 Nf6"),
+        ].join("");
+
+        const holes = commonHoles(reviewGames(pgn, [spanish, sicilian], { player: "me" }).games);
+
+        expect([...holes.keys()]).toEqual([spanish.id, sicilian.id]);
+        expect(holes.get(spanish.id)).toEqual([
+            {
+                kind: "opponent-unprepared",
+                line: [{ from: "e2", to: "e4" }],
+                sans: ["e4"],
+                count: 3,
+                played: [{ san: "d5", count: 2 }, { san: "e6", count: 1 }],
+            },
+            {
+                kind: "we-left-book",
+                line: [{ from: "e2", to: "e4" }, { from: "e7", to: "e5" }],
+                sans: ["e4", "e5"],
+                count: 1,
+                played: [{ san: "Bc4", count: 1 }],
+            },
+        ]);
+        expect(holes.get(sicilian.id)[0]).toMatchObject({ kind: "opponent-unprepared", sans: [], count: 1 });
+    });
+});
@@ -0,0 +1,76 @@
+// src/migrations.js
+// Versioned migrations for persisted app state (no DOM)
+//
+// Each migration upgrades a parsed payload by exactly one schema version. A model change
+// bumps SCHEMA_VERSION in tree.js and appends one entry here; older payloads are then
+// upgraded step by step (v1 -> v2 -> ...). Migrations only see plain JSON and must not
+// rely on model code that may change later.
+
+export const MIGRATIONS = [
+    { from: 1, to: 2, migrate: addReviewState },
+];
+
+/**
+ * Upgrade a parsed payload to `targetVersion` (the input is not mutated).
+ *
+ * Returns { ok: true, value, from } or { ok: false, reason, from, error }
+ * - from: schemaVersion of the input
+ * - reason: "missing-version" | "newer-version" | "no-migration" | "migration-failed"
+ */
+export function migrateAppState(obj, targetVersion, migrations = MIGRATIONS) {
+    const from = obj?.schemaVersion;
+
+    if (!Number.isInteger(from)) {
+        return { ok: false, reason: "missing-version", from: null, error: "missing schemaVersion" };
+    }
+    if (from > targetVersion) {
+        return { ok: false, reason: "newer-version", from, error: `unsupported schemaVersion ${from}` };
+    }
+
+    let value = structuredClone(obj);
+
+    while (value.schemaVersion < targetVersion) {
+        const version = value.schemaVersion;
+        const step = migrations.find((m) => m.from === version);
+        if (!step) {
+            return { ok: false, reason: "no-migration", from, error: `unsupported schemaVersion ${version}` };
+        }
+
+        try {
+            value = { ...step.migrate(value), schemaVersion: step.to };
+        } catch (e) {
+            return { ok: false, reason: "migration-failed", from, error: `v${step.from} -> v${step.to}: ${e.message}` };
+        }
+    }
+
+    return { ok: true, value, from };
+}
+
+/**
+ * v1 -> v2: add fresh review state to every user-side node of every opening.
+ * v1 openings always started from the standard position (white moves first).
+ */
+function addReviewState(obj) {
+    const openings = Array.isArray(obj.openings) ? obj.openings : [];
+    for (const o of openings) {
+        if (o?.root && Array.isArray(o.root.children)) {
+            addReviewStateV2(withChildren(o.root), 0, o.trainAs === "white" ? 1 : 0);
+        }
+    }
+    return obj;
+}
+
+// frozen copy of the v2 review state: user moves are the nodes at depth % 2 === userParity
+function addReviewStateV2(node, depth, userParity) {
+    if (depth > 0 && depth % 2 === userParity && !node.review) {
+        node.review = { interval: 0, ease: 2.5, due: null, lapses: 0, reps: 0 };
+    }
+    for (const ch of node.children) addReviewStateV2(ch, depth + 1, userParity);
+}
+
+// old payloads may omit empty children arrays
+function withChildren(node) {
+    if (!Array.isArray(node.children)) node.children = [];
+    for (const ch of node.children) withChildren(ch);
+    return node;
+}
@@ -0,0 +1,53 @@
+// src/migrations.test.js
+import { describe, it, expect } from "vitest";
+import { MIGRATIONS, migrateAppState } from "./migrations.js";
+import { SCHEMA_VERSION, buildTreeFromLine } from "./tree.js";
+
+describe("migrateAppState", () => {
+    it("has one migration per version up to SCHEMA_VERSION", () => {
+        expect(MIGRATIONS.map((m) => [m.from, m.to])).toEqual(
+            Array.from({ length: SCHEMA_VERSION - 1 }, (_, i) => [i + 1, i + 2]),
+        );
+    });
+
+    it("chains migrations step by step without touching the input", () => {
+        const steps = [
+            { from: 1, to: 2, migrate: (o) => ({ ...o, log: [...o.log, "a"] }) },
+            { from: 2, to: 3, migrate: (o) => ({ ...o, log: [...o.log, "b"] }) },
+        ];
+        const input = { schemaVersion: 1, log: [] };
+
+        const res = migrateAppState(input, 3, steps);
+
+        expect(res).toEqual({ ok: true, from: 1, value: { schemaVersion: 3, log: ["a", "b"] } });
+        expect(input).toEqual({ schemaVersion: 1, log: [] });
+    });
+
+    it("v1 -> v2 adds review state to user-side nodes", () => {
+        const root = buildTreeFromLine([
+            { from: "e2", to: "e4" },
+            { from: "e7", to: "e5" },
+        ]);
+        delete root.children[0].children[0].children; // older payloads may omit empty arrays
+
+        const res = migrateAppState({ schemaVersion: 1, openings: [{ trainAs: "white", root }] }, 2);
+
+        const e4 = res.value.openings[0].root.children[0];
+        expect(e4.review).toMatchObject({ interval: 0, due: null });
+        expect(e4.children[0].review).toBeUndefined();
+    });
+
+    it("reports what went wrong instead of throwing", () => {
+        const failing = [{ from: 1, to: 2, migrate: () => { throw new Error("boom"); } }];
+
+        expect(migrateAppState({ schemaVersion: 1 }, 2, failing)).toMatchObject({
+            ok: false,
+            reason: "migration-failed",
+            from: 1,
+            error: "v1 -> v2: boom",
+        });
+        expect(migrateAppState({ schemaVersion: 1 }, 3, MIGRATIONS.slice(0, 1)).reason).toBe("no-migration");
+        expect(migrateAppState({ schemaVersion: 9 }, 2).reason).toBe("newer-version");
+        expect(migrateAppState({}, 2).reason).toBe("missing-version");
+    });
+});
@@ -0,0 +1,95 @@
+// src/moveList.js
+// Move list HTML for an opening tree (no DOM operations, returns strings)
+//
+// Main line inline, sidelines as nested blocks below the move they branch from
+// (Lichess analysis style). Every move carries data-path with the child indices
+// from the root ("0.1.0"), which pathFromIndices in tree.js turns back into a
+// session path. Engine evaluations stored by the blunder check (node.eval) show as
+// tooltips outside train mode.
+
+import { Chess } from "chess.js";
+import { escapeHtml, tryMove } from "./core.js";
+import { nagSymbol } from "./annotations.js";
+import { STANDARD_START_FEN } from "./positions.js";
+import { formatScore } from "./engine.js";
+
+/**
+ * Build the move list.
+ * - root: tree root
+ * - path: session path (root..current); the current node is marked "active"
+ * - onlyPath: render only the moves on the path (train mode: don't reveal sidelines)
+ */
+export function buildMoveListHtml(root, path, { onlyPath = false, startFen = STANDARD_START_FEN } = {}) {
+    const ctx = {
+        out: [],
+        current: path[path.length - 1],
+        onPath: new Set(path),
+        onlyPath,
+    };
+
+    writeLine(ctx, root, new Chess(startFen), [], true);
+
+    return ctx.out.join("") || `<span class="num">—</span>`;
+}
+
+function writeLine(ctx, node, chess, indices, needNumber) {
+    let cur = node;
+    let curIndices = indices;
+
+    for (;;) {
+        const children = ctx.onlyPath ? cur.children.filter((c) => ctx.onPath.has(c)) : cur.children;
+        if (children.length === 0) return;
+
+        const [main, ...alternatives] = children;
+        const fenBefore = chess.fen();
+
+        const mainIndices = [...curIndices, cur.children.indexOf(main)];
+        const san = tryMove(chess, main.move)?.san;
+        if (!san) return;
+
+        writeMove(ctx, main, mainIndices, san, fenBefore, needNumber);
+        needNumber = !!main.comment;
+
+        if (alternatives.length > 0) {
+            ctx.out.push(`<div class="sidelines">`);
+            for (const alt of alternatives) {
+                const altChess = new Chess(fenBefore);
+                const altSan = tryMove(altChess, alt.move)?.san;
+                if (!altSan) continue;
+
+                const altIndices = [...curIndices, cur.children.indexOf(alt)];
+                ctx.out.push(`<div class="sideline">`);
+                writeMove(ctx, alt, altIndices, altSan, fenBefore, true);
+                writeLine(ctx, alt, altChess, altIndices, !!alt.comment);
+                ctx.out.push(`</div>`);
+            }
+            ctx.out.push(`</div>`);
+            needNumber = true;
+        }
+
+        cur = main;
+        curIndices = mainIndices;
+    }
+}
+
+function writeMove(ctx, node, indices, san, fenBefore, needNumber) {
+    const [, turn, , , , fullmove] = fenBefore.split(" ");
+
+    if (turn === "w") ctx.out.push(`<span class="num">${fullmove}.</span>`);
+    else if (needNumber) ctx.out.push(`<span class="num">${fullmove}...</span>`);
+
+    const classes = ["mv"];
+    if (node === ctx.current) classes.push("active");
+    else if (ctx.onPath.has(node)) classes.push("on-path");
+
+    const nags = (node.nags ?? []).map(nagSymbol).join("");
+    const title = !ctx.onlyPath && node.eval?.score ? ` title="${escapeHtml(evalText(node.eval))}"` : "";
+    ctx.out.push(`<span class="${classes.join(" ")}" data-path="${indices.join(".")}"${title}>${escapeHtml(san + nags)}</span>`);
+
+    if (node.comment) ctx.out.push(`<span class="comment">${escapeHtml(node.comment)}</span>`);
+}
+
+function evalText(ev) {
+    const loss = ev.loss > 0 ? ` · −${(ev.loss / 100).toFixed(2)}` : "";
+    return `${formatScore(ev.score)} (Tiefe ${ev.depth})${loss}`;
+}
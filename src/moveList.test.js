@@ -0,0 +1,72 @@
+// src/moveList.test.js
+import { describe, it, expect } from "vitest";
+import { buildMoveListHtml } from "./moveList.js";
+import { createRoot, createTreeSession, goForwardIfExists, pathFromIndices } from "./tree.js";
+import { importPgnIntoTree } from "./pgn.js";
+
+function sampleRoot() {
+    const root = createRoot();
+    importPgnIntoTree(root, "1. e4 c6 (1... c5 2. Nf3 (2. c3)) 2. d4 $1 {Main} d5 *");
+    return root;
+}
+
+// visible text without tags, whitespace-normalized
+function textOf(html) {
+    return html.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+describe("buildMoveListHtml", () => {
+    it("renders main line with nested sidelines in order", () => {
+        const root = sampleRoot();
+        const html = buildMoveListHtml(root, [root]);
+
+        expect(textOf(html)).toBe("1. e4 c6 1... c5 2. Nf3 2. c3 2. d4! Main 2... d5");
+        expect(html.match(/class="sidelines"/g)).toHaveLength(2);
+    });
+
+    it("marks the current node active and the path before it", () => {
+        const root = sampleRoot();
+        const session = createTreeSession(root);
+        goForwardIfExists(session, { from: "e2", to: "e4" });
+        goForwardIfExists(session, { from: "c7", to: "c5" });
+
+        const html = buildMoveListHtml(root, session.path);
+
+        expect(html).toContain('<span class="mv on-path" data-path="0">e4</span>');
+        expect(html).toContain('<span class="mv active" data-path="0.1">c5</span>');
+    });
+
+    it("data-path indices resolve back to the node", () => {
+        const root = sampleRoot();
+        const html = buildMoveListHtml(root, [root]);
+
+        const m = /data-path="([\d.]+)">c3</.exec(html);
+        const path = pathFromIndices(root, m[1].split(".").map(Number));
+
+        expect(path.map((n) => n.move?.to ?? null)).toEqual([null, "e4", "c5", "c3"]);
+    });
+
+    it("onlyPath hides moves off the current path", () => {
+        const root = sampleRoot();
+        const session = createTreeSession(root);
+        goForwardIfExists(session, { from: "e2", to: "e4" });
+        goForwardIfExists(session, { from: "c7", to: "c6" });
+
+        const html = buildMoveListHtml(root, session.path, { onlyPath: true });
+        expect(textOf(html)).toBe("1. e4 c6");
+    });
+
+    it("shows stored engine evaluations as tooltips outside train mode", () => {
+        const root = sampleRoot();
+        const e4 = root.children[0];
+        e4.eval = { score: { type: "cp", value: 34 }, depth: 12, loss: 20 };
+
+        expect(buildMoveListHtml(root, [root])).toContain('title="+0.34 (Tiefe 12) · −0.20"');
+        expect(buildMoveListHtml(root, [root, e4], { onlyPath: true })).not.toContain("title=");
+    });
+
+    it("shows a dash for an empty tree", () => {
+        const root = createRoot();
+        expect(buildMoveListHtml(root, [root])).toContain("—");
+    });
+});
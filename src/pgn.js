@@ -0,0 +1,477 @@
+// src/pgn.js
+// PGN parsing and tree import for BlunderLab (no DOM, no Chessground)
+//
+// The parser turns PGN text (one or many games) into a plain structure with
+// nested variations, comments and NAGs. The importer replays that structure
+// with chess.js and grafts it into an opening tree via addVariationAndGo, so
+// existing children are followed instead of duplicated. The exporter walks the
+// tree the other way round and writes the first child as main line.
+
+import { Chess } from "chess.js";
+import { tryMove } from "./core.js";
+import { createTreeSession, addVariationAndGo } from "./tree.js";
+import { STANDARD_START_FEN, positionKey } from "./positions.js";
+import { parseCommentShapes, shapesToCommentCommands, setComment, setNags, setShapes } from "./annotations.js";
+
+// Move suffix annotations and their NAG equivalents (PGN spec 10.)
+const SUFFIX_NAGS = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+
+const RESULTS = new Set(["1-0", "0-1", "1/2-1/2", "*"]);
+
+/**
+ * Split PGN text into tokens:
+ * { type: "header", name, value } | { type: "comment", text } | { type: "open" } |
+ * { type: "close" } | { type: "nag", nag } | { type: "result", result } |
+ * { type: "move", san } | { type: "unexpected", char } (a stray "}" or "]")
+ *
+ * Move numbers ("12." / "12...") are dropped, suffix annotations ("!?") become NAG tokens.
+ */
+export function tokenizePgn(text) {
+    const src = String(text ?? "");
+    const tokens = [];
+    let i = 0;
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        // escape mechanism: lines starting with "%" are ignored
+        if (ch === "%" && (i === 0 || src[i - 1] === "\n")) {
+            i = skipToLineEnd(src, i);
+            continue;
+        }
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === "[") {
+            const end = findHeaderEnd(src, i);
+            const m = /^\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*]$/.exec(src.slice(i, end + 1));
+            if (m) tokens.push({ type: "header", name: m[1], value: m[2].replace(/\\(["\\])/g, "$1") });
+            i = end + 1;
+            continue;
+        }
+
+        if (ch === "{") {
+            const end = src.indexOf("}", i + 1);
+            const stop = end === -1 ? src.length : end;
+            tokens.push({ type: "comment", text: src.slice(i + 1, stop).replace(/\s+/g, " ").trim() });
+            i = stop + 1;
+            continue;
+        }
+
+        if (ch === ";") {
+            const end = skipToLineEnd(src, i);
+            tokens.push({ type: "comment", text: src.slice(i + 1, end).trim() });
+            i = end;
+            continue;
+        }
+
+        if (ch === "(") {
+            tokens.push({ type: "open" });
+            i++;
+            continue;
+        }
+
+        if (ch === ")") {
+            tokens.push({ type: "close" });
+            i++;
+            continue;
+        }
+
+        if (ch === "$") {
+            const m = /^\$(\d+)/.exec(src.slice(i));
+            if (m) tokens.push({ type: "nag", nag: Number(m[1]) });
+            i += m ? m[0].length : 1;
+            continue;
+        }
+
+        // plain symbol: move number, move, result or suffix annotation
+        const m = /^[^\s{}()[\];$]+/.exec(src.slice(i));
+        if (!m) {
+            // stray "}" or "]": skipped, the parser reports it
+            tokens.push({ type: "unexpected", char: ch });
+            i++;
+            continue;
+        }
+        i += m[0].length;
+        pushSymbolTokens(tokens, m[0]);
+    }
+
+    return tokens;
+}
+
+function skipToLineEnd(src, i) {
+    const end = src.indexOf("\n", i);
+    return end === -1 ? src.length : end;
+}
+
+function findHeaderEnd(src, i) {
+    let inString = false;
+    for (let j = i + 1; j < src.length; j++) {
+        const ch = src[j];
+        if (inString && ch === "\\") {
+            j++;
+            continue;
+        }
+        if (ch === '"') inString = !inString;
+        else if (ch === "]" && !inString) return j;
+        else if (ch === "\n" && !inString) return j - 1;
+    }
+    return src.length - 1;
+}
+
+function pushSymbolTokens(tokens, symbol) {
+    if (RESULTS.has(symbol)) {
+        tokens.push({ type: "result", result: symbol });
+        return;
+    }
+
+    // "1." / "1..." / "12...Nf6" (number glued to the move)
+    let rest = symbol.replace(/^\d*\.+/, "");
+    if (!rest || /^\d+$/.test(rest)) return;
+
+    const suffix = /[!?]+$/.exec(rest);
+    if (suffix) rest = rest.slice(0, -suffix[0].length);
+
+    if (rest) tokens.push({ type: "move", san: normalizeSan(rest) });
+    if (suffix && SUFFIX_NAGS[suffix[0]]) tokens.push({ type: "nag", nag: SUFFIX_NAGS[suffix[0]] });
+}
+
+function normalizeSan(san) {
+    // ChessBase and older exports write castling with zeros
+    if (/^0-0-0/.test(san)) return "O-O-O" + san.slice(5);
+    if (/^0-0/.test(san)) return "O-O" + san.slice(3);
+    return san;
+}
+
+/**
+ * Parse PGN text into games:
+ * [{ headers: {}, moves: [Move], result: string|null, errors: [] }]
+ *
+ * Move: { san, nags: number[], comment: string|null, variations: Move[][] }
+ * A variation attached to a move is an alternative to that move (same start position).
+ * Comments preceding the first move of a line have no node to live on and are dropped.
+ */
+export function parsePgn(text) {
+    const games = [];
+    let game = null;
+    let stack = [];
+
+    const finish = () => {
+        if (!game) return;
+        if (stack.length > 1) game.errors.push({ reason: "unclosed-variation" });
+        if (game.moves.length > 0 || Object.keys(game.headers).length > 0) games.push(game);
+        game = null;
+        stack = [];
+    };
+
+    const begin = () => {
+        game = { headers: {}, moves: [], result: null, errors: [] };
+        stack = [game.moves];
+    };
+
+    let inMovetext = false;
+
+    for (const tok of tokenizePgn(text)) {
+        if (tok.type === "header") {
+            if (!game || inMovetext) {
+                finish();
+                begin();
+                inMovetext = false;
+            }
+            game.headers[tok.name] = tok.value;
+            continue;
+        }
+
+        if (!game) begin();
+        inMovetext = true;
+
+        const line = stack[stack.length - 1];
+        const last = line[line.length - 1] ?? null;
+
+        switch (tok.type) {
+            case "move":
+                line.push({ san: tok.san, nags: [], comment: null, variations: [] });
+                break;
+            case "nag":
+                if (last && !last.nags.includes(tok.nag)) last.nags.push(tok.nag);
+                break;
+            case "comment":
+                if (last && tok.text) last.comment = last.comment ? `${last.comment} ${tok.text}` : tok.text;
+                break;
+            case "open": {
+                if (!last) {
+                    game.errors.push({ reason: "variation-without-move" });
+                    // still consume it, so the closing paren stays balanced
+                    const orphan = [];
+                    stack.push(orphan);
+                    break;
+                }
+                const variation = [];
+                last.variations.push(variation);
+                stack.push(variation);
+                break;
+            }
+            case "close":
+                if (stack.length > 1) stack.pop();
+                else game.errors.push({ reason: "unbalanced-close" });
+                break;
+            case "unexpected":
+                game.errors.push({ reason: "unexpected-character", san: tok.char });
+                break;
+            case "result":
+                if (stack.length === 1) {
+                    game.result = tok.result;
+                    finish();
+                    inMovetext = false;
+                }
+                break;
+        }
+    }
+
+    finish();
+    return games;
+}
+
+/**
+ * Short human readable label for a parsed game (used in import reports).
+ */
+export function gameLabel(game, index) {
+    const h = game.headers ?? {};
+    if (h.White && h.Black && h.White !== "?" && h.Black !== "?") return `${h.White} – ${h.Black}`;
+    if (h.Event && h.Event !== "?") return h.Event;
+    if (h.ChapterName) return h.ChapterName;
+    return `Game ${index + 1}`;
+}
+
+/**
+ * Import PGN text (one or many games, with variations) into an opening tree.
+ * - root: opening root node (mutated)
+ * - pgnText: raw PGN
+ * - startFen: position of the root; a game's FEN header must match it (no header = starts there)
+ *
+ * Returns { ok, added, games: [{ index, label, added, errors: [{ ply, san, reason }] }] }
+ * - ok is false if no game could be parsed at all
+ * - an illegal move ends its line; sibling variations are still imported
+ */
+export function importPgnIntoTree(root, pgnText, { startFen = STANDARD_START_FEN } = {}) {
+    const parsed = parsePgn(pgnText);
+    if (parsed.length === 0) return { ok: false, reason: "no-games", added: 0, games: [] };
+
+    const games = parsed.map((g, index) => {
+        const report = { index, label: gameLabel(g, index), added: 0, errors: g.errors.map((e) => ({ ply: 0, san: null, ...e })) };
+
+        const fen = g.headers.FEN;
+        if (fen && positionKey(fen) !== positionKey(startFen)) {
+            report.errors.push({ ply: 0, san: null, reason: "unsupported-start-position" });
+            return report;
+        }
+
+        graftLine(createTreeSession(root), new Chess(startFen), g.moves, report);
+        return report;
+    });
+
+    const added = games.reduce((sum, g) => sum + g.added, 0);
+    return { ok: true, added, games };
+}
+
+function graftLine(session, chess, moves, report) {
+    for (const mv of moves) {
+        const ply = plyOf(chess);
+        const fenBefore = chess.fen();
+        const pathBefore = session.path.slice();
+
+        let played = null;
+        try {
+            played = chess.move(mv.san, { strict: false });
+        } catch {
+            played = null;
+        }
+
+        if (played) {
+            const res = addVariationAndGo(session, {
+                from: played.from,
+                to: played.to,
+                ...(played.promotion ? { promotion: played.promotion } : {}),
+            });
+            if (res.created) report.added++;
+
+            mergeAnnotations(res.node, mv);
+        } else {
+            report.errors.push({ ply, san: mv.san, reason: "illegal-move" });
+        }
+
+        // alternatives start from the position before mv; added after it so the main line stays first
+        for (const variation of mv.variations) {
+            const branch = { root: session.root, path: pathBefore.slice() };
+            graftLine(branch, new Chess(fenBefore), variation, report);
+        }
+
+        if (!played) return;
+    }
+}
+
+function plyOf(chess) {
+    // 1-based ply of the move about to be played
+    return (chess.moveNumber() - 1) * 2 + (chess.turn() === "w" ? 1 : 2);
+}
+
+function mergeAnnotations(node, mv) {
+    const { comment, shapes } = parseCommentShapes(mv.comment);
+
+    if (comment) {
+        if (!node.comment) setComment(node, comment);
+        else if (!node.comment.includes(comment)) setComment(node, `${node.comment} ${comment}`);
+    }
+
+    if (mv.nags.length > 0) setNags(node, [...(node.nags ?? []), ...mv.nags]);
+
+    if (shapes.length > 0) {
+        const known = node.shapes ?? [];
+        const isNew = (s) => !known.some((k) => k.orig === s.orig && k.dest === s.dest);
+        setShapes(node, [...known, ...shapes.filter(isNew)]);
+    }
+}
+
+// ------------------------------------------------------------
+// Export
+// ------------------------------------------------------------
+
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * Export an opening as a single PGN game:
+ * - Event = opening name, Orientation = trainAs (Lichess study style)
+ * - SetUp / FEN headers for openings starting from a custom position
+ * - first child of every node is the main line, the others become ( ... ) variations
+ * - node comments / NAGs are written as {comment} / $n, shapes as [%cal] / [%csl] commands
+ */
+export function exportOpeningToPgn(opening) {
+    return exportTreeToPgn(opening.root, {
+        Event: opening.name,
+        Orientation: opening.trainAs === "black" ? "black" : "white",
+        ...(opening.startFen ? { SetUp: "1", FEN: opening.startFen } : {}),
+    });
+}
+
+/**
+ * Export a tree as PGN text. Extra headers are appended after the seven tag roster
+ * (or override its values). A FEN header sets the position of the root.
+ */
+export function exportTreeToPgn(root, headers = {}) {
+    const tags = {
+        Event: "?",
+        Site: "?",
+        Date: "????.??.??",
+        Round: "?",
+        White: "?",
+        Black: "?",
+        Result: "*",
+        ...headers,
+    };
+
+    const headerText = Object.entries(tags)
+        .map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`)
+        .join("\n");
+
+    const words = [];
+    writeVariation(words, new Chess(tags.FEN ?? STANDARD_START_FEN), root, true);
+    words.push(tags.Result);
+
+    return `${headerText}\n\n${wrapWords(words)}\n`;
+}
+
+/**
+ * Append the main line below `node` (position in `chess`) including side variations
+ * to `words`.
+ */
+function writeVariation(words, chess, node, needNumber) {
+    let cur = node;
+
+    while (cur.children.length > 0) {
+        const [main, ...alternatives] = cur.children;
+        const fenBefore = chess.fen();
+
+        const san = tryMove(chess, main.move)?.san;
+        if (!san) return;
+
+        needNumber = writeMove(words, fenBefore, san, main, needNumber);
+
+        for (const alt of alternatives) {
+            const altChess = new Chess(fenBefore);
+            const altSan = tryMove(altChess, alt.move)?.san;
+            if (!altSan) continue;
+
+            words.push("(");
+            const altNeedNumber = writeMove(words, fenBefore, altSan, alt, true);
+            writeVariation(words, altChess, alt, altNeedNumber);
+            words.push(")");
+
+            needNumber = true;
+        }
+
+        cur = main;
+    }
+}
+
+/**
+ * Write one move (with number if needed) plus its NAGs and comment.
+ * Returns whether the following move needs an explicit move number.
+ */
+function writeMove(words, fenBefore, san, node, needNumber) {
+    const [, turn, , , , fullmove] = fenBefore.split(" ");
+
+    if (turn === "w") words.push(`${fullmove}.`);
+    else if (needNumber) words.push(`${fullmove}...`);
+
+    words.push(san);
+
+    for (const nag of node.nags ?? []) words.push(`$${nag}`);
+
+    const comment = [shapesToCommentCommands(node.shapes), String(node.comment ?? "").replace(/[{}]/g, "")]
+        .filter(Boolean)
+        .join(" ");
+
+    if (comment) {
+        words.push(`{${comment}}`);
+        return true;
+    }
+
+    return false;
+}
+
+function escapeTagValue(value) {
+    return String(value ?? "").replaceAll("\\", "\\\\").replaceAll('"', '\\"');
+}
+
+function wrapWords(words) {
+    // glue parentheses to their neighbours: "(" + "1..." -> "(1...", "Nf3" + ")" -> "Nf3)"
+    const glued = [];
+    let open = "";
+    for (const w of words) {
+        if (w === "(") {
+            open += "(";
+        } else if (w === ")") {
+            glued[glued.length - 1] += ")";
+        } else {
+            glued.push(open + w);
+            open = "";
+        }
+    }
+
+    const lines = [];
+    let line = "";
+    for (const w of glued) {
+        if (line && line.length + 1 + w.length > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = w;
+        } else {
+            line = line ? `${line} ${w}` : w;
+        }
+    }
+    if (line) lines.push(line);
+
+    return lines.join("\n");
+}
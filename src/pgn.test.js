@@ -0,0 +1,253 @@
+// src/pgn.test.js
+import { describe, it, expect } from "vitest";
+import { tokenizePgn, parsePgn, importPgnIntoTree, exportTreeToPgn, exportOpeningToPgn } from "./pgn.js";
+import { createRoot, buildTreeFromLine, createOpening } from "./tree.js";
+
+describe("tokenizePgn", () => {
+    it("splits headers, moves, comments, variations, NAGs and results", () => {
+        const tokens = tokenizePgn(`[Event "Test \\"quoted\\""]
+
+1. e4 $1 {best by test} (1. d4) 1... e5!? ; rest of line
+2. Nf3 1-0`);
+
+        expect(tokens.map((t) => t.type)).toEqual([
+            "header", "move", "nag", "comment", "open", "move", "close",
+            "move", "nag", "comment", "move", "result",
+        ]);
+        expect(tokens[0]).toEqual({ type: "header", name: "Event", value: 'Test "quoted"' });
+        expect(tokens[8]).toEqual({ type: "nag", nag: 5 });
+        expect(tokens[9].text).toBe("rest of line");
+    });
+
+    it("normalizes zero castling and glued move numbers", () => {
+        const tokens = tokenizePgn("1.e4 e5 2.Nf3 Nc6 3.Bc4 Bc5 4.0-0 5...Nf6");
+        const sans = tokens.filter((t) => t.type === "move").map((t) => t.san);
+        expect(sans).toEqual(["e4", "e5", "Nf3", "Nc6", "Bc4", "Bc5", "O-O", "Nf6"]);
+    });
+});
+
+describe("parsePgn", () => {
+    it("builds nested variations attached to the move they replace", () => {
+        const [game] = parsePgn("1. e4 (1. d4 d5 (1... Nf6 2. c4)) 1... c5 *");
+
+        expect(game.moves.map((m) => m.san)).toEqual(["e4", "c5"]);
+        expect(game.result).toBe("*");
+
+        const [d4Line] = game.moves[0].variations;
+        expect(d4Line.map((m) => m.san)).toEqual(["d4", "d5"]);
+        expect(d4Line[1].variations[0].map((m) => m.san)).toEqual(["Nf6", "c4"]);
+    });
+
+    it("splits multiple games by headers and results", () => {
+        const games = parsePgn(`[Event "A"]
+
+1. e4 e5 *
+
+[Event "B"]
+
+1. d4 d5 1/2-1/2`);
+
+        expect(games).toHaveLength(2);
+        expect(games[0].headers.Event).toBe("A");
+        expect(games[1].headers.Event).toBe("B");
+        expect(games[1].moves.map((m) => m.san)).toEqual(["d4", "d5"]);
+    });
+
+    it("reports unbalanced variations", () => {
+        const [game] = parsePgn("1. e4 (1. d4 d5 2. c4");
+        expect(game.errors).toEqual([{ reason: "unclosed-variation" }]);
+    });
+
+    it("reports stray closing braces and brackets instead of throwing", () => {
+        const [game] = parsePgn("1. e4 } e5 ] 2. Nf3 *");
+        expect(game.moves.map((m) => m.san)).toEqual(["e4", "e5", "Nf3"]);
+        expect(game.errors).toEqual([
+            { reason: "unexpected-character", san: "}" },
+            { reason: "unexpected-character", san: "]" },
+        ]);
+    });
+});
+
+describe("importPgnIntoTree", () => {
+    it("grafts main line (first child) and variations into an empty root", () => {
+        const root = createRoot();
+        const res = importPgnIntoTree(root, "1. e4 e5 (1... c5 2. Nf3) 2. Nf3 Nc6 *");
+
+        expect(res.ok).toBe(true);
+        expect(res.added).toBe(6);
+        expect(res.games[0].errors).toEqual([]);
+
+        const e4 = root.children[0];
+        expect(e4.move).toEqual({ from: "e2", to: "e4" });
+        expect(e4.children.map((c) => c.move.to)).toEqual(["e5", "c5"]);
+        expect(e4.children[0].children[0].children[0].move).toEqual({ from: "b8", to: "c6" });
+    });
+
+    it("merges with existing children instead of duplicating", () => {
+        const root = buildTreeFromLine([
+            { from: "e2", to: "e4" },
+            { from: "e7", to: "e5" },
+        ]);
+
+        const res = importPgnIntoTree(root, "1. e4 e5 2. Nf3 (2. Bc4) *");
+
+        expect(res.added).toBe(2);
+        expect(root.children).toHaveLength(1);
+        expect(root.children[0].children).toHaveLength(1);
+        expect(root.children[0].children[0].children).toHaveLength(2);
+    });
+
+    it("stores comments and NAGs on nodes without duplicating them on re-import", () => {
+        const root = createRoot();
+        const pgn = "1. e4!? {Aggressive} e5 $2 *";
+
+        importPgnIntoTree(root, pgn);
+        importPgnIntoTree(root, pgn);
+
+        const e4 = root.children[0];
+        expect(e4.comment).toBe("Aggressive");
+        expect(e4.nags).toEqual([5]);
+        expect(e4.children[0].nags).toEqual([2]);
+    });
+
+    it("reports illegal moves per game and keeps the legal part", () => {
+        const root = createRoot();
+        const res = importPgnIntoTree(root, `[Event "Good"]
+
+1. d4 d5 *
+
+[Event "Broken"]
+
+1. e4 e5 2. Ke3 Nc6 *`);
+
+        expect(res.games).toHaveLength(2);
+        expect(res.games[0]).toMatchObject({ label: "Good", added: 2, errors: [] });
+        expect(res.games[1].label).toBe("Broken");
+        expect(res.games[1].errors).toEqual([{ ply: 3, san: "Ke3", reason: "illegal-move" }]);
+
+        // 1.e4 e5 got imported, nothing after the illegal move
+        const e4 = root.children.find((c) => c.move.to === "e4");
+        expect(e4.children[0].children).toEqual([]);
+    });
+
+    it("keeps importing sibling variations after an illegal move in one of them", () => {
+        const root = createRoot();
+        const res = importPgnIntoTree(root, "1. e4 (1. d4 Qxh2) (1. c4 e5) e5 *");
+
+        expect(res.games[0].errors).toEqual([{ ply: 2, san: "Qxh2", reason: "illegal-move" }]);
+        expect(root.children.map((c) => c.move.to)).toEqual(["e4", "d4", "c4"]);
+    });
+
+    it("rejects games starting from a custom FEN", () => {
+        const root = createRoot();
+        const res = importPgnIntoTree(root, `[FEN "8/8/8/8/8/8/8/k6K w - - 0 1"]
+
+1. Kg2 *`);
+
+        expect(res.games[0].errors[0].reason).toBe("unsupported-start-position");
+        expect(root.children).toEqual([]);
+    });
+
+    it("imports games that start from the opening's custom position", () => {
+        const startFen = "rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2";
+        const root = createRoot();
+        const res = importPgnIntoTree(root, `[SetUp "1"]
+[FEN "${startFen}"]
+
+2. Nf3 d6 *
+
+[FEN "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"]
+
+1. e4 c5 *`, { startFen });
+
+        expect(res.games[0].errors).toEqual([]);
+        expect(res.games[1].errors[0].reason).toBe("unsupported-start-position");
+        expect(root.children.map((c) => c.move)).toEqual([{ from: "g1", to: "f3" }]);
+    });
+
+    it("returns ok=false when there is nothing to import", () => {
+        const res = importPgnIntoTree(createRoot(), "   ");
+        expect(res.ok).toBe(false);
+        expect(res.reason).toBe("no-games");
+    });
+});
+
+describe("exportTreeToPgn", () => {
+    function movetextOf(pgn) {
+        return pgn.split("\n\n")[1].replace(/\s+/g, " ").trim();
+    }
+
+    it("writes headers from the opening (Event, Orientation)", () => {
+        const o = createOpening({ name: "Caro-Kann", trainAs: "black" });
+        const pgn = exportOpeningToPgn(o);
+
+        expect(pgn).toContain('[Event "Caro-Kann"]');
+        expect(pgn).toContain('[Orientation "black"]');
+        expect(pgn).toContain('[Result "*"]');
+        expect(movetextOf(pgn)).toBe("*");
+    });
+
+    it("writes first children as main line and the rest as nested variations", () => {
+        const root = createRoot();
+        importPgnIntoTree(root, "1. e4 c6 (1... c5 2. Nf3 (2. c3) 2... d6) 2. d4 d5 *");
+
+        const pgn = exportTreeToPgn(root);
+        expect(movetextOf(pgn)).toBe("1. e4 c6 (1... c5 2. Nf3 (2. c3) 2... d6) 2. d4 d5 *");
+    });
+
+    it("writes comments and NAGs", () => {
+        const root = createRoot();
+        importPgnIntoTree(root, "1. e4 $1 {Best by test} 1... e5 $6 *");
+
+        expect(movetextOf(exportTreeToPgn(root))).toBe("1. e4 $1 {Best by test} 1... e5 $6 *");
+    });
+
+    it("writes shapes as [%cal]/[%csl] and reads them back", () => {
+        const root = createRoot();
+        importPgnIntoTree(root, "1. e4 {[%cal Gg1f3] Develop [%csl Re5]} e5 *");
+
+        const e4 = root.children[0];
+        expect(e4.comment).toBe("Develop");
+        expect(e4.shapes).toEqual([
+            { orig: "g1", dest: "f3", brush: "green" },
+            { orig: "e5", brush: "red" },
+        ]);
+
+        expect(movetextOf(exportTreeToPgn(root))).toBe("1. e4 {[%csl Re5][%cal Gg1f3] Develop} 1... e5 *");
+    });
+
+    it("escapes header values and wraps long movetext", () => {
+        const root = createRoot();
+        importPgnIntoTree(root, "1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 5. Nf3 Nf6 6. Ng1 Ng8 7. Nf3 Nf6 8. Ng1 Ng8 *");
+
+        const pgn = exportTreeToPgn(root, { Event: 'The "Knight" dance' });
+        expect(pgn).toContain('[Event "The \\"Knight\\" dance"]');
+
+        const movetextLines = pgn.split("\n\n")[1].trim().split("\n");
+        expect(movetextLines.length).toBeGreaterThan(1);
+        for (const line of movetextLines) expect(line.length).toBeLessThanOrEqual(80);
+    });
+
+    it("writes SetUp/FEN headers and move numbers for a custom start position", () => {
+        const startFen = "rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2";
+        const o = createOpening({ name: "Open game", trainAs: "black", startFen });
+        importPgnIntoTree(o.root, "2. Nf3 Nc6 (2... d6) *", { startFen });
+
+        const pgn = exportOpeningToPgn(o);
+        expect(pgn).toContain('[SetUp "1"]');
+        expect(pgn).toContain(`[FEN "${startFen}"]`);
+        expect(movetextOf(pgn)).toBe("2. Nf3 Nc6 (2... d6) *");
+    });
+
+    it("round-trips through the importer", () => {
+        const source = createRoot();
+        importPgnIntoTree(source, `1. d4 d5 (1... Nf6 2. c4 e6 (2... g6 3. Nc3 Bg7) 3. Nc3 Bb4 {Nimzo}) 2. c4 e6
+3. Nc3 Nf6 4. Bg5 Be7 5. e3 O-O 6. Nf3 h6 $5 7. Bh4 b6 8. cxd5 exd5 *`);
+
+        const target = createRoot();
+        const res = importPgnIntoTree(target, exportTreeToPgn(source));
+
+        expect(res.games[0].errors).toEqual([]);
+        expect(target).toEqual(source);
+    });
+});
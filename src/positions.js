@@ -0,0 +1,118 @@
+// src/positions.js
+// Position index over an opening tree (no DOM)
+//
+// The same position can be reached by different move orders. The index maps a
+// normalized FEN (board, side to move, castling, en passant) to every node of
+// the tree that reaches it, so edit mode can show transpositions and training
+// can accept a move that transposes into prepared territory. The index is
+// derived data: it is never persisted and the JSON tree format stays unchanged.
+
+import { Chess } from "chess.js";
+import { currentNode, goForwardIfExists } from "./tree.js";
+import { tryMove } from "./core.js";
+
+export const STANDARD_START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+/**
+ * Normalize a FEN to the parts that identify a position (drops move counters).
+ * chess.js only writes an en passant square if the capture is actually possible,
+ * so move orders that differ only in a useless double step map to the same key.
+ */
+export function positionKey(fen) {
+    return String(fen ?? "").trim().split(/\s+/).slice(0, 4).join(" ");
+}
+
+/**
+ * Start position of an opening (custom FEN or the standard start position).
+ */
+export function openingStartFen(opening) {
+    return opening?.startFen ?? STANDARD_START_FEN;
+}
+
+/**
+ * "white" | "black": side to move in a FEN.
+ */
+export function sideToMove(fen) {
+    return positionKey(fen).split(" ")[1] === "b" ? "black" : "white";
+}
+
+/**
+ * Build the index for a tree.
+ * Returns Map<key, Array<{ node, path }>> where path is the node list root..node
+ * (as used by session.path).
+ */
+export function buildPositionIndex(root, startFen = STANDARD_START_FEN) {
+    const index = new Map();
+    const chess = new Chess(startFen);
+    const path = [];
+
+    function add(node) {
+        const key = positionKey(chess.fen());
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ node, path: path.slice() });
+    }
+
+    function dfs(node) {
+        path.push(node);
+        add(node);
+
+        for (const ch of node.children) {
+            if (!tryMove(chess, ch.move)) continue; // illegal node: skip its subtree
+            dfs(ch);
+            chess.undo();
+        }
+
+        path.pop();
+    }
+
+    dfs(root);
+    return index;
+}
+
+/**
+ * Other nodes reaching the same position as `node` (node itself excluded).
+ */
+export function findTranspositions(index, fen, node) {
+    return (index.get(positionKey(fen)) ?? []).filter((entry) => entry.node !== node);
+}
+
+/**
+ * Like goForwardIfExists, but if the move is not a child of the current node and the
+ * resulting position occurs elsewhere in the tree, jump the session to that occurrence.
+ * - fen: position of the current node (before the move)
+ * - within: only transpose to occurrences below this node (subtree drills)
+ *
+ * Returns { ok, node, transposed } or { ok: false, reason }.
+ */
+export function goForwardOrTranspose(session, index, fen, moveObj, { within = null } = {}) {
+    const direct = goForwardIfExists(session, moveObj);
+    if (direct.ok) return { ...direct, transposed: false };
+
+    const chess = new Chess(fen);
+    if (!tryMove(chess, moveObj)) return { ok: false, reason: "illegal-move" };
+
+    const cur = currentNode(session);
+    const target = (index.get(positionKey(chess.fen())) ?? []).find((entry) =>
+        entry.node !== cur && (!within || entry.path.includes(within)));
+    if (!target) return { ok: false, reason: "no-such-position" };
+
+    session.path = target.path.slice();
+    return { ok: true, node: target.node, transposed: true };
+}
+
+/**
+ * SAN moves for a session-style path (root..node).
+ */
+export function pathToSans(path, startFen = STANDARD_START_FEN) {
+    const chess = new Chess(startFen);
+    const sans = [];
+
+    for (const node of path) {
+        if (!node.move) continue;
+        const mv = tryMove(chess, node.move);
+        if (!mv) break;
+        sans.push(mv.san);
+    }
+
+    return sans;
+}
@@ -0,0 +1,135 @@
+// src/positions.test.js
+import { describe, it, expect } from "vitest";
+import {
+    STANDARD_START_FEN,
+    positionKey,
+    buildPositionIndex,
+    findTranspositions,
+    goForwardOrTranspose,
+    pathToSans,
+} from "./positions.js";
+import { createRoot, createTreeSession, currentNode, goForwardIfExists } from "./tree.js";
+import { importPgnIntoTree } from "./pgn.js";
+
+// 1.d4 Nf6 2.c4 e6 and 1.c4 e6 2.d4 Nf6 reach the same position
+function transposingTree() {
+    const root = createRoot();
+    importPgnIntoTree(root, "1. d4 (1. c4 e6 2. d4 Nf6) 1... Nf6 2. c4 e6 3. Nc3 *");
+    return root;
+}
+
+function walk(session, moves) {
+    for (const m of moves) goForwardIfExists(session, m);
+    return session;
+}
+
+const D4_NF6_C4_E6 = [
+    { from: "d2", to: "d4" },
+    { from: "g8", to: "f6" },
+    { from: "c2", to: "c4" },
+    { from: "e7", to: "e6" },
+];
+
+describe("positionKey", () => {
+    it("drops halfmove and fullmove counters", () => {
+        expect(positionKey("8/8/8/8/8/8/8/k6K w - - 12 40")).toBe("8/8/8/8/8/8/8/k6K w - -");
+        expect(positionKey("  8/8/8/8/8/8/8/k6K   b - -  ")).toBe("8/8/8/8/8/8/8/k6K b - -");
+    });
+});
+
+describe("buildPositionIndex", () => {
+    it("groups nodes reaching the same position", () => {
+        const root = transposingTree();
+        const index = buildPositionIndex(root);
+
+        const session = walk(createTreeSession(root), D4_NF6_C4_E6);
+        const node = currentNode(session);
+
+        const fen = "rnbqkb1r/pppp1ppp/4pn2/8/2PP4/8/PP2PPPP/RNBQKBNR w KQkq - 0 3";
+        const entries = index.get(positionKey(fen));
+
+        expect(entries).toHaveLength(2);
+        expect(entries.map((e) => e.node)).toContain(node);
+        expect(entries.every((e) => e.path[0] === root)).toBe(true);
+
+        const others = findTranspositions(index, fen, node);
+        expect(others).toHaveLength(1);
+        expect(pathToSans(others[0].path)).toEqual(["c4", "e6", "d4", "Nf6"]);
+    });
+
+    it("indexes the root under the start position", () => {
+        const root = createRoot();
+        const index = buildPositionIndex(root);
+        expect(index.size).toBe(1);
+        expect([...index.values()][0][0].node).toBe(root);
+    });
+});
+
+describe("goForwardOrTranspose", () => {
+    it("follows a direct child without transposing", () => {
+        const root = transposingTree();
+        const session = createTreeSession(root);
+        const res = goForwardOrTranspose(session, buildPositionIndex(root), STANDARD_START_FEN, { from: "d2", to: "d4" });
+
+        expect(res).toMatchObject({ ok: true, transposed: false });
+        expect(currentNode(session)).toBe(root.children[0]);
+    });
+
+    it("jumps to the transposed node when the position is in the repertoire", () => {
+        const root = transposingTree();
+        const index = buildPositionIndex(root);
+
+        // 1.c4 e6 2.d4, then black plays ...Nf6 reaching the main line position
+        const session = walk(createTreeSession(root), [
+            { from: "c2", to: "c4" },
+            { from: "e7", to: "e6" },
+            { from: "d2", to: "d4" },
+        ]);
+        // remove the direct child so only the transposition can match
+        currentNode(session).children = [];
+
+        const fen = "rnbqkbnr/pppp1ppp/4p3/8/2PP4/8/PP2PPPP/RNBQKBNR b KQkq - 0 2";
+        const res = goForwardOrTranspose(session, index, fen, { from: "g8", to: "f6" });
+
+        expect(res.ok).toBe(true);
+        expect(res.transposed).toBe(true);
+        expect(pathToSans(session.path)).toEqual(["d4", "Nf6", "c4", "e6"]);
+        expect(currentNode(session).children[0].move).toEqual({ from: "b1", to: "c3" });
+    });
+
+    it("only transposes into the given subtree", () => {
+        const root = transposingTree();
+        const c4 = root.children[1];
+
+        const session = walk(createTreeSession(root), [
+            { from: "c2", to: "c4" },
+            { from: "e7", to: "e6" },
+            { from: "d2", to: "d4" },
+        ]);
+        currentNode(session).children = [];
+        const index = buildPositionIndex(root);
+
+        const fen = "rnbqkbnr/pppp1ppp/4p3/8/2PP4/8/PP2PPPP/RNBQKBNR b KQkq - 0 2";
+        const res = goForwardOrTranspose(session, index, fen, { from: "g8", to: "f6" }, { within: c4 });
+
+        expect(res).toEqual({ ok: false, reason: "no-such-position" });
+        expect(currentNode(session).move).toEqual({ from: "d2", to: "d4" });
+    });
+
+    it("fails for positions outside the repertoire", () => {
+        const root = transposingTree();
+        const session = createTreeSession(root);
+        const res = goForwardOrTranspose(session, buildPositionIndex(root), STANDARD_START_FEN, { from: "e2", to: "e4" });
+
+        expect(res).toEqual({ ok: false, reason: "no-such-position" });
+        expect(session.path).toEqual([root]);
+    });
+
+    it("fails for illegal moves", () => {
+        const root = transposingTree();
+        const session = createTreeSession(root);
+        const res = goForwardOrTranspose(session, buildPositionIndex(root), STANDARD_START_FEN, { from: "e2", to: "e5" });
+
+        expect(res.reason).toBe("illegal-move");
+    });
+});
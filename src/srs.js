@@ -0,0 +1,159 @@
+// src/srs.js
+// Spaced-repetition scheduling for repertoire moves (no DOM)
+//
+// Every user-side node (a move the trainee has to find) carries review state:
+//   node.review = { interval, ease, due, lapses, reps }
+// - interval: days until the next review (0 = learning)
+// - ease: SM-2 style growth factor
+// - due: timestamp (ms) of the next review, null = never reviewed (new)
+// Opponent-side nodes never get review state.
+
+import { isUsersTurn } from "./core.js";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+export function createReview() {
+    return {
+        interval: 0,
+        ease: START_EASE,
+        due: null,
+        lapses: 0,
+        reps: 0,
+    };
+}
+
+/**
+ * True if the move stored on a node at `depth` (root = 0) is played by the trainee.
+ * - firstToMove: side to move at the root ("white" unless the opening starts from a FEN)
+ */
+export function isUserNode(depth, trainAs, firstToMove = "white") {
+    if (depth <= 0) return false;
+    return isUsersTurn(trainAs, depth - 1, firstToMove);
+}
+
+/**
+ * New nodes (no review yet) are always due.
+ */
+export function isDue(node, now = Date.now()) {
+    const due = node.review?.due ?? null;
+    return due === null || due <= now;
+}
+
+/**
+ * How many days a node is past its due date (new nodes count as due right now).
+ */
+export function overdueDays(node, now = Date.now()) {
+    const due = node.review?.due ?? null;
+    if (due === null) return 0;
+    return (now - due) / DAY_MS;
+}
+
+/**
+ * Update a node's review state after an answer.
+ * grade: "again" (wrong) | "hard" (right, with trouble) | "good" (right)
+ */
+export function reviewNode(node, grade, now = Date.now()) {
+    const r = { ...createReview(), ...(node.review ?? {}) };
+
+    if (grade === "again") {
+        r.lapses += 1;
+        r.reps = 0;
+        r.interval = 0;
+        r.ease = Math.max(MIN_EASE, r.ease - 0.2);
+        r.due = now;
+    } else if (grade === "hard") {
+        r.reps += 1;
+        r.interval = Math.max(1, Math.round(r.interval * 1.2));
+        r.ease = Math.max(MIN_EASE, r.ease - 0.15);
+        r.due = now + r.interval * DAY_MS;
+    } else if (grade === "good") {
+        r.reps += 1;
+        if (r.reps === 1) r.interval = 1;
+        else if (r.reps === 2) r.interval = 3;
+        else r.interval = Math.round(r.interval * r.ease);
+        r.due = now + r.interval * DAY_MS;
+    } else {
+        throw new Error(`reviewNode: unknown grade ${grade}`);
+    }
+
+    node.review = r;
+    return r;
+}
+
+/**
+ * All lines below `node` as arrays of nodes (node itself excluded).
+ */
+export function collectLines(node) {
+    const lines = [];
+    const current = [];
+
+    function dfs(n) {
+        if (n !== node) current.push(n);
+
+        if (n.children.length === 0) {
+            if (current.length > 0) lines.push(current.slice());
+        } else {
+            for (const ch of n.children) dfs(ch);
+        }
+
+        if (n !== node) current.pop();
+    }
+
+    dfs(node);
+    return lines;
+}
+
+/**
+ * Pick the line below `node` (at `depth`) that contains the most due user-side moves.
+ * Ties are broken by the summed overdueness, then by tree order (main line first).
+ *
+ * Returns { nodes, dueCount } or null if `node` is a leaf.
+ */
+export function pickDueLine(node, depth, trainAs, now = Date.now(), firstToMove = "white") {
+    let best = null;
+
+    for (const nodes of collectLines(node)) {
+        let dueCount = 0;
+        let overdue = 0;
+
+        nodes.forEach((n, i) => {
+            if (!isUserNode(depth + i + 1, trainAs, firstToMove) || !isDue(n, now)) return;
+            dueCount++;
+            overdue += overdueDays(n, now);
+        });
+
+        if (!best || dueCount > best.dueCount || (dueCount === best.dueCount && overdue > best.overdue)) {
+            best = { nodes, dueCount, overdue };
+        }
+    }
+
+    return best ? { nodes: best.nodes, dueCount: best.dueCount } : null;
+}
+
+/**
+ * Number of user-side nodes due at `now` (counted once, even if shared by many lines).
+ */
+export function countDue(root, trainAs, now = Date.now(), firstToMove = "white") {
+    let count = 0;
+    walk(root, 0, (node, depth) => {
+        if (isUserNode(depth, trainAs, firstToMove) && isDue(node, now)) count++;
+    });
+    return count;
+}
+
+/**
+ * Last millisecond of the local day containing `now` ("due today").
+ */
+export function endOfDay(now = Date.now()) {
+    const d = new Date(now);
+    d.setHours(23, 59, 59, 999);
+    return d.getTime();
+}
+
+function walk(node, depth, fn) {
+    fn(node, depth);
+    for (const ch of node.children) walk(ch, depth + 1, fn);
+}
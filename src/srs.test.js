@@ -0,0 +1,144 @@
+// src/srs.test.js
+import { describe, it, expect } from "vitest";
+import {
+    DAY_MS,
+    createReview,
+    isUserNode,
+    isDue,
+    reviewNode,
+    collectLines,
+    pickDueLine,
+    countDue,
+    endOfDay,
+} from "./srs.js";
+import { createRoot, createNode, buildTreeFromLine } from "./tree.js";
+
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+// 1.e4 e5 2.Nf3 (main) and 1.e4 c5 2.Nf3 (side)
+function sampleTree() {
+    const root = buildTreeFromLine([
+        { from: "e2", to: "e4" },
+        { from: "e7", to: "e5" },
+        { from: "g1", to: "f3" },
+    ]);
+    const e4 = root.children[0];
+    const c5 = createNode({ from: "c7", to: "c5" });
+    c5.children.push(createNode({ from: "g1", to: "f3" }));
+    e4.children.push(c5);
+    return root;
+}
+
+describe("isUserNode", () => {
+    it("maps tree depth to the side that played the move", () => {
+        expect(isUserNode(0, "white")).toBe(false); // root
+        expect(isUserNode(1, "white")).toBe(true);  // 1. e4
+        expect(isUserNode(2, "white")).toBe(false);
+        expect(isUserNode(1, "black")).toBe(false);
+        expect(isUserNode(2, "black")).toBe(true);  // 1... e5
+    });
+
+    it("counts plies from the side to move of a custom start position", () => {
+        expect(isUserNode(1, "black", "black")).toBe(true);  // 1... first move of the opening
+        expect(isUserNode(2, "black", "black")).toBe(false);
+        expect(isUserNode(2, "white", "black")).toBe(true);
+    });
+});
+
+describe("reviewNode", () => {
+    it("grows the interval on good answers", () => {
+        const node = createNode({ from: "e2", to: "e4" });
+
+        reviewNode(node, "good", NOW);
+        expect(node.review).toMatchObject({ interval: 1, reps: 1, due: NOW + DAY_MS });
+
+        reviewNode(node, "good", NOW);
+        expect(node.review.interval).toBe(3);
+
+        reviewNode(node, "good", NOW);
+        expect(node.review.interval).toBe(8); // round(3 * 2.5)
+    });
+
+    it("resets and lowers ease on a lapse", () => {
+        const node = createNode({ from: "e2", to: "e4" });
+        reviewNode(node, "good", NOW);
+        reviewNode(node, "good", NOW);
+
+        reviewNode(node, "again", NOW);
+        expect(node.review).toMatchObject({ interval: 0, reps: 0, lapses: 1, ease: 2.3, due: NOW });
+    });
+
+    it("hard answers grow slowly and cost ease", () => {
+        const node = createNode({ from: "e2", to: "e4" });
+        reviewNode(node, "hard", NOW);
+        expect(node.review).toMatchObject({ interval: 1, reps: 1, ease: 2.35 });
+    });
+
+    it("throws on an unknown grade", () => {
+        expect(() => reviewNode(createNode({ from: "e2", to: "e4" }), "meh", NOW)).toThrow(/grade/);
+    });
+});
+
+describe("scheduling", () => {
+    it("isDue treats new nodes as due", () => {
+        const node = createNode({ from: "e2", to: "e4" });
+        expect(isDue(node, NOW)).toBe(true);
+
+        reviewNode(node, "good", NOW);
+        expect(isDue(node, NOW)).toBe(false);
+        expect(isDue(node, NOW + DAY_MS)).toBe(true);
+    });
+
+    it("collectLines returns every root-to-leaf line", () => {
+        const lines = collectLines(sampleTree());
+        expect(lines.map((l) => l.map((n) => n.move.to))).toEqual([
+            ["e4", "e5", "f3"],
+            ["e4", "c5", "f3"],
+        ]);
+    });
+
+    it("pickDueLine prefers the line with more due user moves", () => {
+        const root = sampleTree();
+        const mainNf3 = root.children[0].children[0].children[0];
+        reviewNode(root.children[0], "good", NOW);
+        reviewNode(mainNf3, "good", NOW);
+
+        const picked = pickDueLine(root, 0, "white", NOW);
+        expect(picked.dueCount).toBe(1);
+        expect(picked.nodes.map((n) => n.move.to)).toEqual(["e4", "c5", "f3"]);
+    });
+
+    it("pickDueLine breaks ties by overdueness", () => {
+        const root = sampleTree();
+        const [mainNf3, sideNf3] = [
+            root.children[0].children[0].children[0],
+            root.children[0].children[1].children[0],
+        ];
+        reviewNode(root.children[0], "good", NOW);
+        mainNf3.review = { ...createReview(), due: NOW - DAY_MS };
+        sideNf3.review = { ...createReview(), due: NOW - 5 * DAY_MS };
+
+        const picked = pickDueLine(root, 0, "white", NOW);
+        expect(picked.nodes[1].move.to).toBe("c5");
+    });
+
+    it("pickDueLine returns null at a leaf", () => {
+        expect(pickDueLine(createRoot(), 0, "white", NOW)).toBe(null);
+    });
+
+    it("countDue counts shared user nodes once", () => {
+        const root = sampleTree();
+        expect(countDue(root, "white", NOW)).toBe(3);
+        expect(countDue(root, "black", NOW)).toBe(2);
+
+        reviewNode(root.children[0], "good", NOW);
+        expect(countDue(root, "white", NOW)).toBe(2);
+        expect(countDue(root, "white", NOW + DAY_MS)).toBe(3);
+    });
+
+    it("endOfDay is the last millisecond of the same local day", () => {
+        const end = endOfDay(NOW);
+        expect(new Date(end).getDate()).toBe(new Date(NOW).getDate());
+        expect(new Date(end + 1).getDate()).not.toBe(new Date(NOW).getDate());
+    });
+});
@@ -0,0 +1,193 @@
+// src/stats.js
+// Training log and statistics per opening (no DOM)
+//
+// Every answer in train mode is appended to opening.trainingLog:
+//   { line, expected, played, correct, hints, at, ms }
+// - line: moves from the root to the position the trainee answered (node address that
+//   survives serialization and tree edits, like edit history commands)
+// - expected: scheduled move { from, to, promotion? } or null if nothing was scheduled
+// - played: the move actually made
+// - hints: hint level used before answering (0 = none); a hinted right answer is a partial failure
+// - at: timestamp (ms) of the answer, ms: time to answer
+// Only the newest TRAINING_LOG_LIMIT entries are kept.
+
+import { sameMove, moveToUci } from "./core.js";
+import { DAY_MS, collectLines, isDue, isUserNode } from "./srs.js";
+
+export const TRAINING_LOG_LIMIT = 2000;
+export const RECENT_MISTAKE_DAYS = 7;
+
+/**
+ * Append one answer to the opening's log (drops the oldest entries beyond the limit).
+ * Returns the stored entry.
+ */
+export function logAttempt(opening, { line, expected, played, correct, hints = 0, at = Date.now(), ms = null }) {
+    const entry = {
+        line: line.map(copyMove),
+        expected: expected ? copyMove(expected) : null,
+        played: copyMove(played),
+        correct: Boolean(correct),
+        hints: Math.max(0, Math.trunc(hints) || 0),
+        at,
+        ms: Number.isFinite(ms) && ms >= 0 ? Math.round(ms) : null,
+    };
+
+    if (!Array.isArray(opening.trainingLog)) opening.trainingLog = [];
+    opening.trainingLog.push(entry);
+    if (opening.trainingLog.length > TRAINING_LOG_LIMIT) {
+        opening.trainingLog.splice(0, opening.trainingLog.length - TRAINING_LOG_LIMIT);
+    }
+    return entry;
+}
+
+/**
+ * Valid entries of a stored log (unknown shapes are dropped, not fatal).
+ */
+export function normalizeTrainingLog(log) {
+    if (!Array.isArray(log)) return [];
+    return log.filter((e) =>
+        e && Array.isArray(e.line) && e.line.every(isMove) && isMove(e.played) &&
+        (e.expected === null || isMove(e.expected)) && Number.isFinite(e.at),
+    ).slice(-TRAINING_LOG_LIMIT);
+}
+
+/**
+ * Accuracy per local calendar day, oldest first:
+ * [{ day: "YYYY-MM-DD", attempts, correct, hinted, accuracy (0..1), avgMs (null if unknown) }]
+ * - correct: right without hints, hinted: right after a hint (counts half in accuracy)
+ */
+export function accuracyByDay(log) {
+    const days = new Map();
+
+    for (const e of log ?? []) {
+        const day = localDay(e.at);
+        if (!days.has(day)) days.set(day, { day, attempts: 0, correct: 0, hinted: 0, msSum: 0, msCount: 0 });
+
+        const d = days.get(day);
+        d.attempts++;
+        if (e.correct && e.hints > 0) d.hinted++;
+        else if (e.correct) d.correct++;
+        if (Number.isFinite(e.ms)) {
+            d.msSum += e.ms;
+            d.msCount++;
+        }
+    }
+
+    return [...days.values()]
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(({ day, attempts, correct, hinted, msSum, msCount }) => ({
+            day,
+            attempts,
+            correct,
+            hinted,
+            accuracy: (correct + hinted / 2) / attempts,
+            avgMs: msCount > 0 ? Math.round(msSum / msCount) : null,
+        }));
+}
+
+/**
+ * Positions with the most wrong or hinted answers (ties: most recent miss first).
+ * Returns [{ line, expected, misses, attempts, lastMissed }] with at most `limit` entries.
+ */
+export function mostMissedPositions(log, limit = 10) {
+    const byLine = new Map();
+
+    for (const e of log ?? []) {
+        const key = lineKey(e.line);
+        if (!byLine.has(key)) byLine.set(key, { line: e.line, expected: null, misses: 0, attempts: 0, lastMissed: null });
+
+        const p = byLine.get(key);
+        p.attempts++;
+        if (e.expected) p.expected = e.expected;
+        if (isFailure(e)) {
+            p.misses++;
+            p.lastMissed = Math.max(p.lastMissed ?? -Infinity, e.at);
+        }
+    }
+
+    return [...byLine.values()]
+        .filter((p) => p.misses > 0)
+        .sort((a, b) => b.misses - a.misses || b.lastMissed - a.lastMissed)
+        .slice(0, limit);
+}
+
+/**
+ * Tree nodes (the expected moves) answered wrongly or with hints within the last `days`
+ * and not answered correctly since. Entries whose position or move no longer exists are ignored.
+ */
+export function recentMistakeNodes(root, log, { now = Date.now(), days = RECENT_MISTAKE_DAYS } = {}) {
+    const since = now - days * DAY_MS;
+    const failed = new Set();
+
+    for (const e of log ?? []) {
+        if (!e.expected) continue;
+
+        const node = nodeAt(root, [...e.line, e.expected]);
+        if (!node) continue;
+
+        if (isFailure(e)) {
+            if (e.at >= since) failed.add(node);
+        } else if (sameMove(e.played, e.expected)) {
+            failed.delete(node);
+        }
+    }
+
+    return failed;
+}
+
+/**
+ * Like pickDueLine, but only among lines below `node` that contain one of `targets`
+ * (prefers lines with more of them, then more due user moves, then tree order).
+ *
+ * Returns { nodes, dueCount, targetCount } or null if no line contains a target.
+ */
+export function pickMistakeLine(node, depth, targets, trainAs, now = Date.now(), firstToMove = "white") {
+    let best = null;
+
+    for (const nodes of collectLines(node)) {
+        const targetCount = nodes.filter((n) => targets.has(n)).length;
+        if (targetCount === 0) continue;
+
+        let dueCount = 0;
+        nodes.forEach((n, i) => {
+            if (isUserNode(depth + i + 1, trainAs, firstToMove) && isDue(n, now)) dueCount++;
+        });
+
+        if (!best || targetCount > best.targetCount || (targetCount === best.targetCount && dueCount > best.dueCount)) {
+            best = { nodes, dueCount, targetCount };
+        }
+    }
+
+    return best;
+}
+
+function isFailure(e) {
+    return !e.correct || e.hints > 0;
+}
+
+function nodeAt(root, moves) {
+    let node = root;
+    for (const mv of moves) {
+        node = node.children.find((c) => sameMove(c.move, mv));
+        if (!node) return null;
+    }
+    return node;
+}
+
+function lineKey(line) {
+    return line.map(moveToUci).join(" ");
+}
+
+function localDay(at) {
+    const d = new Date(at);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function copyMove(m) {
+    return { from: m.from, to: m.to, ...(m.promotion ? { promotion: m.promotion } : {}) };
+}
+
+function isMove(m) {
+    return Boolean(m) && typeof m.from === "string" && typeof m.to === "string";
+}
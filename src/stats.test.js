@@ -0,0 +1,142 @@
+// src/stats.test.js
+import { describe, it, expect } from "vitest";
+import {
+    TRAINING_LOG_LIMIT,
+    logAttempt,
+    normalizeTrainingLog,
+    accuracyByDay,
+    mostMissedPositions,
+    recentMistakeNodes,
+    pickMistakeLine,
+} from "./stats.js";
+import { DAY_MS } from "./srs.js";
+import { createNode, buildTreeFromLine, createOpening } from "./tree.js";
+
+const NOW = new Date(2026, 0, 15, 12, 0, 0).getTime();
+
+const e4 = { from: "e2", to: "e4" };
+const e5 = { from: "e7", to: "e5" };
+const c5 = { from: "c7", to: "c5" };
+const nf3 = { from: "g1", to: "f3" };
+const d4 = { from: "d2", to: "d4" };
+
+// 1.e4 e5 2.Nf3 (main) and 1.e4 c5 2.d4 (side), trained as white
+function sampleTree() {
+    const root = buildTreeFromLine([e4, e5, nf3]);
+    const side = createNode(c5);
+    side.children.push(createNode(d4));
+    root.children[0].children.push(side);
+    return root;
+}
+
+function entry(line, expected, played, at, ms = 1000, hints = 0) {
+    return { line, expected, played, correct: played === expected, hints, at, ms };
+}
+
+describe("logAttempt", () => {
+    it("stores copies of the moves and caps the log", () => {
+        const o = createOpening({ name: "Test", trainAs: "white" });
+        const line = [e4, e5];
+
+        const stored = logAttempt(o, { line, expected: nf3, played: d4, correct: false, at: NOW, ms: 1234.4 });
+        line.push(nf3);
+
+        expect(stored).toEqual({ line: [e4, e5], expected: nf3, played: d4, correct: false, hints: 0, at: NOW, ms: 1234 });
+        expect(o.trainingLog).toHaveLength(1);
+
+        for (let i = 0; i < TRAINING_LOG_LIMIT; i++) logAttempt(o, { line: [], expected: e4, played: e4, correct: true, at: NOW + i });
+        expect(o.trainingLog).toHaveLength(TRAINING_LOG_LIMIT);
+        expect(o.trainingLog[0].at).toBe(NOW);
+        expect(o.trainingLog[0].correct).toBe(true);
+    });
+
+    it("drops invalid stored entries", () => {
+        const log = normalizeTrainingLog([
+            entry([e4], e5, e5, NOW),
+            { line: "e4", played: e5, at: NOW },
+            null,
+            entry([], null, e4, NOW),
+        ]);
+        expect(log).toHaveLength(2);
+        expect(normalizeTrainingLog(undefined)).toEqual([]);
+    });
+});
+
+describe("accuracyByDay", () => {
+    it("groups answers by local day, oldest first", () => {
+        const log = [
+            entry([e4, e5], nf3, nf3, NOW, 2000),
+            entry([e4, e5], nf3, d4, NOW + 60_000, 4000),
+            entry([], e4, e4, NOW - DAY_MS, null),
+        ];
+
+        expect(accuracyByDay(log)).toEqual([
+            { day: "2026-01-14", attempts: 1, correct: 1, hinted: 0, accuracy: 1, avgMs: null },
+            { day: "2026-01-15", attempts: 2, correct: 1, hinted: 0, accuracy: 0.5, avgMs: 3000 },
+        ]);
+    });
+
+    it("counts hinted answers as half right", () => {
+        const log = [
+            entry([e4, e5], nf3, nf3, NOW, 2000, 2),
+            entry([e4, e5], nf3, nf3, NOW + 1, 1000),
+        ];
+
+        expect(accuracyByDay(log)[0]).toMatchObject({ attempts: 2, correct: 1, hinted: 1, accuracy: 0.75 });
+    });
+});
+
+describe("mostMissedPositions", () => {
+    it("ranks positions by misses, then by the latest miss", () => {
+        const log = [
+            entry([e4, e5], nf3, d4, NOW),
+            entry([e4, e5], nf3, d4, NOW + 1),
+            entry([e4, e5], nf3, nf3, NOW + 2),
+            entry([e4, c5], d4, nf3, NOW + 3),
+            entry([], e4, d4, NOW + 4),
+            entry([], e4, e4, NOW + 5),
+        ];
+
+        const top = mostMissedPositions(log, 2);
+        expect(top).toHaveLength(2);
+        expect(top[0]).toEqual({ line: [e4, e5], expected: nf3, misses: 2, attempts: 3, lastMissed: NOW + 1 });
+        expect(top[1].line).toEqual([]);
+        expect(mostMissedPositions([entry([], e4, e4, NOW)])).toEqual([]);
+    });
+});
+
+describe("drill my mistakes", () => {
+    it("collects recently failed nodes that were not answered correctly since", () => {
+        const root = sampleTree();
+        const log = [
+            entry([e4, e5], nf3, d4, NOW - 10 * DAY_MS), // too old
+            entry([e4, c5], d4, nf3, NOW - DAY_MS),
+            entry([], e4, d4, NOW - DAY_MS),
+            entry([], e4, e4, NOW), // fixed since
+            entry([e4, e5, nf3], d4, e4, NOW), // position no longer in the tree
+        ];
+
+        const nodes = recentMistakeNodes(root, log, { now: NOW });
+        const d4Node = root.children[0].children[1].children[0];
+        expect([...nodes]).toEqual([d4Node]);
+    });
+
+    it("treats hinted answers as mistakes", () => {
+        const root = sampleTree();
+        const log = [entry([], e4, e4, NOW, 1000, 1)];
+
+        expect([...recentMistakeNodes(root, log, { now: NOW })]).toEqual([root.children[0]]);
+        expect(mostMissedPositions(log)[0]).toMatchObject({ misses: 1, attempts: 1 });
+    });
+
+    it("picks only lines through failed nodes", () => {
+        const root = sampleTree();
+        const d4Node = root.children[0].children[1].children[0];
+
+        const picked = pickMistakeLine(root, 0, new Set([d4Node]), "white", NOW);
+        expect(picked.nodes.map((n) => n.move)).toEqual([e4, c5, d4]);
+        expect(picked.targetCount).toBe(1);
+
+        expect(pickMistakeLine(root.children[0].children[0], 2, new Set([d4Node]), "white", NOW)).toBeNull();
+    });
+});
@@ -0,0 +1,495 @@
+// src/storage.js
+// Storage adapters and loading/saving the app state through them (no DOM)
+//
+// An adapter persists two kinds of records, all methods async:
+//   values   - small JSON records by key: "app" = { schemaVersion, activeOpeningId, order, lastPaths },
+//              backups
+//              readValue(key) -> value | null, writeValue(key, value)
+//   openings - one serialized opening per record (see serializeOpening), keyed by its id
+//              readOpenings() -> [record], readOpening(id) -> record | null, deleteOpening(id)
+//              (readOpenings returns a record it can't parse as { id, unreadable: message })
+//              writeOpening(record, { expectedRev }) -> { ok: true } | { ok: false, reason: "conflict", current }
+// Openings are stored one by one so a move only rewrites the opening it changed. The last
+// viewed path of each opening lives in the app record: navigating rewrites no opening.
+//
+// Every opening record carries a revision (record.rev, missing = 0) that grows with each
+// write. Given an expectedRev, writeOpening only writes if the stored record still has
+// that revision (compare-and-set), so two tabs can't silently overwrite each other.
+
+import {
+    SCHEMA_VERSION,
+    DEFAULT_STORAGE_KEY,
+    createEmptyAppState,
+    serializeOpening,
+    deserializeOpening,
+    loadAppState,
+} from "./tree.js";
+import { migrateAppState } from "./migrations.js";
+
+export const APP_RECORD_KEY = "app";
+
+const DB_VERSION = 1;
+
+/**
+ * Adapter keeping everything in memory (tests, or a session that must not persist).
+ * Records are stored as JSON text, so callers can't mutate them afterwards.
+ */
+export function createMemoryAdapter() {
+    const values = new Map();
+    const openings = new Map();
+    const readOpening = (id) => (openings.has(id) ? JSON.parse(openings.get(id)) : null);
+
+    return {
+        async readValue(key) {
+            return values.has(key) ? JSON.parse(values.get(key)) : null;
+        },
+        async writeValue(key, value) {
+            values.set(key, JSON.stringify(value));
+        },
+        async readOpenings() {
+            return [...openings.values()].map((json) => JSON.parse(json));
+        },
+        async readOpening(id) {
+            return readOpening(id);
+        },
+        async writeOpening(record, { expectedRev } = {}) {
+            const current = readOpening(record.id);
+            if (isConflict(current, expectedRev)) return { ok: false, reason: "conflict", current };
+
+            openings.set(record.id, JSON.stringify(record));
+            return { ok: true };
+        },
+        async deleteOpening(id) {
+            openings.delete(id);
+        },
+    };
+}
+
+/**
+ * Adapter on a Web Storage object, one key per record (`${prefix}.opening.<id>`).
+ * Fallback for browsers without usable IndexedDB.
+ */
+export function createLocalStorageAdapter(storage, prefix = "blunderlab") {
+    const openingPrefix = `${prefix}.opening.`;
+    const readOpening = (id) => {
+        const raw = storage.getItem(openingPrefix + id);
+        return raw ? JSON.parse(raw) : null;
+    };
+
+    return {
+        async readValue(key) {
+            const raw = storage.getItem(`${prefix}.${key}`);
+            return raw ? JSON.parse(raw) : null;
+        },
+        async writeValue(key, value) {
+            storage.setItem(`${prefix}.${key}`, JSON.stringify(value));
+        },
+        async readOpenings() {
+            const list = [];
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                if (!key?.startsWith(openingPrefix)) continue;
+
+                try {
+                    list.push(JSON.parse(storage.getItem(key)));
+                } catch (e) {
+                    list.push({ id: key.slice(openingPrefix.length), unreadable: e.message });
+                }
+            }
+            return list;
+        },
+        async readOpening(id) {
+            return readOpening(id);
+        },
+        async writeOpening(record, { expectedRev } = {}) {
+            const current = readOpening(record.id);
+            if (isConflict(current, expectedRev)) return { ok: false, reason: "conflict", current };
+
+            storage.setItem(openingPrefix + record.id, JSON.stringify(record));
+            return { ok: true };
+        },
+        async deleteOpening(id) {
+            storage.removeItem(openingPrefix + id);
+        },
+    };
+}
+
+/**
+ * Open (and create on first use) the IndexedDB database.
+ * Rejects if IndexedDB is unavailable or blocked (e.g. some private browsing modes).
+ */
+export function openIndexedDbAdapter({ name = "blunderlab", indexedDB = globalThis.indexedDB } = {}) {
+    return new Promise((resolve, reject) => {
+        if (!indexedDB) {
+            reject(new Error("IndexedDB not available"));
+            return;
+        }
+
+        const req = indexedDB.open(name, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains("values")) db.createObjectStore("values");
+            if (!db.objectStoreNames.contains("openings")) db.createObjectStore("openings", { keyPath: "id" });
+        };
+        req.onsuccess = () => resolve(indexedDbAdapter(req.result));
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function indexedDbAdapter(db) {
+    // one transaction per call; resolves with the request result once the transaction committed
+    function run(storeName, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // read + conditional put in one transaction: IndexedDB serializes it against other tabs
+    function compareAndPut(record, expectedRev) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction("openings", "readwrite");
+            const store = tx.objectStore("openings");
+            let result = { ok: true };
+
+            const get = store.get(record.id);
+            get.onsuccess = () => {
+                const current = get.result ?? null;
+                if (isConflict(current, expectedRev)) result = { ok: false, reason: "conflict", current };
+                else store.put(record);
+            };
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    return {
+        async readValue(key) {
+            return (await run("values", "readonly", (s) => s.get(key))) ?? null;
+        },
+        async writeValue(key, value) {
+            await run("values", "readwrite", (s) => s.put(value, key));
+        },
+        async readOpenings() {
+            return run("openings", "readonly", (s) => s.getAll());
+        },
+        async readOpening(id) {
+            return (await run("openings", "readonly", (s) => s.get(id))) ?? null;
+        },
+        async writeOpening(record, { expectedRev } = {}) {
+            return compareAndPut(record, expectedRev);
+        },
+        async deleteOpening(id) {
+            await run("openings", "readwrite", (s) => s.delete(id));
+        },
+    };
+}
+
+/**
+ * Load the app state from an adapter.
+ * - first run (no app record): imports the single-key localStorage payload of older
+ *   versions if there is one (that key is left untouched)
+ * - records of an older schema version are migrated and written back; the raw records
+ *   are kept as value "backup.v<version>" first
+ * - openings are validated one by one: broken ones are reported and stay in storage as they are
+ * Never rejects: a failing adapter makes the whole load "unreadable".
+ *
+ * Returns { ok: true, state, revisions, errors: [{ id, name, error }], migratedFrom, importedLegacy }
+ *      or { ok: false, reason: "unreadable", error, state: empty state }
+ *      or { ok: false, reason: "backup-failed", error, state: migrated state } (nothing written back)
+ * - revisions: Map opening id -> stored revision (pass on to createStateWriter)
+ */
+export async function loadFromAdapter(adapter, options = {}) {
+    try {
+        return await loadRecords(adapter, options);
+    } catch (e) {
+        return { ok: false, reason: "unreadable", error: e.message, state: createEmptyAppState() };
+    }
+}
+
+async function loadRecords(adapter, { legacyStorage = null, legacyKey = DEFAULT_STORAGE_KEY }) {
+    const app = await adapter.readValue(APP_RECORD_KEY);
+
+    if (!app) {
+        const revisions = new Map();
+        if (!legacyStorage?.getItem(legacyKey)) {
+            return { ok: true, state: createEmptyAppState(), revisions, errors: [], migratedFrom: null, importedLegacy: false };
+        }
+
+        const legacy = loadAppState(legacyStorage, legacyKey);
+        if (!legacy.ok) return { ok: false, reason: "unreadable", error: legacy.error, state: createEmptyAppState() };
+
+        await writeAll(adapter, legacy.state, revisions);
+        return { ok: true, state: legacy.state, revisions, errors: [], migratedFrom: legacy.migratedFrom, importedLegacy: true };
+    }
+
+    const stored = await adapter.readOpenings();
+    const records = stored.filter((r) => !r?.unreadable);
+    const version = app.schemaVersion;
+
+    const migrated = migrateAppState({ ...app, openings: records }, SCHEMA_VERSION);
+    if (!migrated.ok) return { ok: false, reason: "unreadable", error: migrated.error, state: createEmptyAppState() };
+
+    const order = Array.isArray(app.order) ? app.order : [];
+    const lastPaths = app.lastPaths ?? {};
+    const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+
+    const state = createEmptyAppState();
+    const revisions = new Map(records.map((r) => [r?.id, revisionOf(r)]));
+    const errors = stored
+        .filter((r) => r?.unreadable)
+        .map((r) => ({ id: r.id, name: null, error: r.unreadable }));
+
+    for (const record of migrated.value.openings.slice().sort((a, b) => rank(a?.id) - rank(b?.id))) {
+        try {
+            const opening = deserializeOpening(record);
+            // records written before lastPaths existed carry their own
+            if (Array.isArray(lastPaths[opening.id])) opening.lastPath = lastPaths[opening.id];
+            state.openings.push(opening);
+        } catch (e) {
+            errors.push({ id: record?.id ?? null, name: record?.name ?? null, error: e.message });
+        }
+    }
+
+    const activeOpeningId = app.activeOpeningId ?? null;
+    state.activeOpeningId = state.openings.some((o) => o.id === activeOpeningId) ? activeOpeningId : null;
+
+    const migratedFrom = version !== SCHEMA_VERSION ? version : null;
+    if (migratedFrom !== null) {
+        // the raw records are rewritten below: without their backup they stay as they are
+        try {
+            await adapter.writeValue(`backup.v${version}`, { app, openings: records });
+        } catch (e) {
+            return { ok: false, reason: "backup-failed", error: e.message, state };
+        }
+        await writeAll(adapter, state, revisions);
+    }
+
+    return { ok: true, state, revisions, errors, migratedFrom, importedLegacy: false };
+}
+
+/**
+ * Saves app states to an adapter, writing only the openings a save names as changed.
+ * - initial: the state as loaded from the adapter (its openings count as written)
+ * - revisions: stored revision per opening id as returned by loadFromAdapter
+ * - openings missing from a saved state are deleted, but only if this writer knew them
+ *   (broken records skipped while loading are never touched)
+ *
+ * save(state, { changed, force }) resolves with { written: [id], removed: [id], conflicts: [{ id, current }] }.
+ * Only the openings in `changed` or `force` are serialized, plus new or replaced opening
+ * objects and those a previous save could not write. An opening changed in storage by
+ * someone else since this writer last saw it is not written but reported as conflict
+ * (again on every save) until it is forced (force: [id]) or replaced via accept().
+ * Changes are captured synchronously; writes run one after another. A failed write is
+ * retried by the next save.
+ *
+ * accept(opening, rev) marks an opening read from storage as written (sync from other tabs),
+ * forget(id) drops one removed elsewhere, isDirty(opening) tells if it has unsaved changes.
+ */
+export function createStateWriter(adapter, initial = null, revisions = new Map()) {
+    const known = new Map(); // opening id -> opening object last captured (null: delete pending)
+    const dirty = new Set(); // captured but not written yet (pending, failed or in conflict)
+    const revs = new Map(revisions);
+    let writtenApp = null;
+
+    if (initial) {
+        for (const o of initial.openings) known.set(o.id, o);
+        writtenApp = JSON.stringify(appRecord(initial));
+    }
+
+    let queue = Promise.resolve();
+
+    function save(state, { changed = [], force = [] } = {}) {
+        const records = [];
+        const ids = new Set();
+
+        for (const o of state.openings) {
+            ids.add(o.id);
+            const marked = changed.includes(o.id) || force.includes(o.id) || dirty.has(o.id);
+            if (!marked && known.get(o.id) === o) continue;
+
+            known.set(o.id, o);
+            dirty.add(o.id);
+            records.push(openingRecord(o));
+        }
+
+        const removed = [...known.keys()].filter((id) => !ids.has(id));
+        for (const id of removed) known.delete(id);
+
+        const appJson = JSON.stringify(appRecord(state));
+        const appChanged = appJson !== writtenApp;
+        writtenApp = appJson;
+
+        const job = queue.then(async () => {
+            const result = { written: [], removed: [], conflicts: [] };
+
+            try {
+                for (const o of records) {
+                    const res = await writeRevision(o, force.includes(o.id));
+
+                    if (res.ok) {
+                        dirty.delete(o.id);
+                        result.written.push(o.id);
+                    } else {
+                        // stays dirty: every later save reports the conflict again
+                        result.conflicts.push({ id: o.id, current: res.current });
+                    }
+                }
+
+                for (const id of removed) {
+                    await adapter.deleteOpening(id);
+                    revs.delete(id);
+                    dirty.delete(id);
+                    result.removed.push(id);
+                }
+
+                if (appChanged) await adapter.writeValue(APP_RECORD_KEY, JSON.parse(appJson));
+            } catch (e) {
+                // what this job did not get to stays dirty; deletions are tried again
+                for (const id of removed) if (!result.removed.includes(id) && !known.has(id)) known.set(id, null);
+                if (appChanged) writtenApp = null;
+                throw e;
+            }
+
+            return result;
+        });
+
+        queue = job.catch(() => {});
+        return job;
+    }
+
+    async function writeRevision(opening, forced) {
+        const expectedRev = revs.get(opening.id) ?? 0;
+        let res = await adapter.writeOpening({ ...opening, rev: expectedRev + 1 }, { expectedRev });
+
+        if (!res.ok && forced) {
+            const currentRev = revisionOf(res.current);
+            res = await adapter.writeOpening({ ...opening, rev: currentRev + 1 }, { expectedRev: currentRev });
+            if (res.ok) revs.set(opening.id, currentRev + 1);
+        } else if (res.ok) {
+            revs.set(opening.id, expectedRev + 1);
+        }
+
+        return res;
+    }
+
+    return {
+        save,
+        accept(opening, rev) {
+            known.set(opening.id, opening);
+            dirty.delete(opening.id);
+            revs.set(opening.id, rev);
+        },
+        forget(id) {
+            known.delete(id);
+            dirty.delete(id);
+            revs.delete(id);
+        },
+        isDirty(opening) {
+            return dirty.has(opening.id) || known.get(opening.id) !== opening;
+        },
+        knownRevision(id) {
+            return revs.get(id) ?? null;
+        },
+    };
+}
+
+/**
+ * Bring a state up to date with openings another tab changed in storage (state mutated).
+ * - ids: openings written elsewhere, removed: openings deleted elsewhere
+ * - openings with unsaved local changes are not replaced but reported as conflicts,
+ *   unless discardLocal is set
+ * Replaced openings are new objects: sessions on the old tree need to be rebuilt.
+ *
+ * Returns { reloaded: [id], added: [id], removed: [id], conflicts: [id] }
+ */
+export async function applyRemoteChanges(adapter, writer, state, { ids = [], removed = [], discardLocal = false } = {}) {
+    const result = { reloaded: [], added: [], removed: [], conflicts: [] };
+
+    for (const id of removed) {
+        writer.forget(id);
+        const index = state.openings.findIndex((o) => o.id === id);
+        if (index === -1) continue;
+
+        state.openings.splice(index, 1);
+        result.removed.push(id);
+    }
+
+    for (const id of ids) {
+        const record = await adapter.readOpening(id);
+        if (!record) continue;
+
+        const rev = revisionOf(record);
+        const index = state.openings.findIndex((o) => o.id === id);
+        const local = index === -1 ? null : state.openings[index];
+
+        if (!discardLocal) {
+            if (local && writer.knownRevision(id) === rev) continue; // our own write or already seen
+            if (local && writer.isDirty(local)) {
+                result.conflicts.push(id);
+                continue;
+            }
+        }
+
+        let opening;
+        try {
+            opening = deserializeOpening(record);
+        } catch {
+            continue; // a broken record is left alone, like at load time
+        }
+
+        writer.accept(opening, rev);
+        if (local) {
+            opening.lastPath = local.lastPath;
+            state.openings[index] = opening;
+            result.reloaded.push(id);
+        } else {
+            state.openings.push(opening);
+            result.added.push(id);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Revision of a stored opening record (records written before revisions existed count as 0).
+ */
+export function revisionOf(record) {
+    return Number.isInteger(record?.rev) ? record.rev : 0;
+}
+
+// stored opening: everything but the last viewed path (kept in the app record)
+function openingRecord(opening) {
+    const { lastPath, ...record } = serializeOpening(opening);
+    return record;
+}
+
+function isConflict(current, expectedRev) {
+    if (expectedRev === undefined) return false;
+    return revisionOf(current) !== expectedRev;
+}
+
+function appRecord(state) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        activeOpeningId: state.activeOpeningId ?? null,
+        order: state.openings.map((o) => o.id),
+        lastPaths: Object.fromEntries(state.openings.filter((o) => o.lastPath?.length).map((o) => [o.id, o.lastPath])),
+    };
+}
+
+// unconditional rewrite (first run / migration); bumps the revisions it writes
+async function writeAll(adapter, state, revisions) {
+    for (const o of state.openings) {
+        const rev = (revisions.get(o.id) ?? 0) + 1;
+        await adapter.writeOpening({ ...openingRecord(o), rev });
+        revisions.set(o.id, rev);
+    }
+    await adapter.writeValue(APP_RECORD_KEY, appRecord(state));
+}
@@ -0,0 +1,318 @@
+// src/storage.test.js
+import { describe, it, expect } from "vitest";
+import {
+    APP_RECORD_KEY,
+    createMemoryAdapter,
+    createLocalStorageAdapter,
+    loadFromAdapter,
+    createStateWriter,
+    applyRemoteChanges,
+} from "./storage.js";
+import {
+    SCHEMA_VERSION,
+    createEmptyAppState,
+    createOpening,
+    createNode,
+    saveToStorage,
+    serializeOpening,
+} from "./tree.js";
+
+function makeMemoryStorage() {
+    const m = new Map();
+    return {
+        get length() {
+            return m.size;
+        },
+        key: (i) => [...m.keys()][i] ?? null,
+        getItem: (k) => (m.has(k) ? m.get(k) : null),
+        setItem: (k, v) => m.set(k, String(v)),
+        removeItem: (k) => m.delete(k),
+    };
+}
+
+// counts writes per method
+function spyAdapter(adapter) {
+    const calls = [];
+    const spy = {};
+    for (const [name, fn] of Object.entries(adapter)) {
+        spy[name] = (...args) => {
+            calls.push([name, args[0]?.id ?? args[0]]);
+            return fn(...args);
+        };
+    }
+    return { adapter: spy, calls };
+}
+
+function twoOpenings() {
+    const state = createEmptyAppState();
+    state.openings.push(
+        createOpening({ name: "Italian", trainAs: "white" }),
+        createOpening({ name: "Caro-Kann", trainAs: "black" }),
+    );
+    state.activeOpeningId = state.openings[1].id;
+    return state;
+}
+
+describe("createStateWriter", () => {
+    it("writes only openings marked as changed, new or replaced", async () => {
+        const { adapter, calls } = spyAdapter(createMemoryAdapter());
+        const writer = createStateWriter(adapter);
+        const state = twoOpenings();
+        const [italian, caro] = state.openings;
+
+        await writer.save(state);
+        expect(calls.filter(([name]) => name === "writeOpening")).toHaveLength(2);
+
+        calls.length = 0;
+        caro.root.children.push(createNode({ from: "e2", to: "e4" }));
+        await writer.save(state, { changed: [caro.id] });
+        expect(calls).toEqual([["writeOpening", caro.id]]);
+
+        calls.length = 0;
+        await writer.save(state);
+        expect(calls).toEqual([]);
+
+        state.openings[0] = { ...italian, name: "Italian Game" };
+        await writer.save(state);
+        expect(calls).toEqual([["writeOpening", italian.id]]);
+        calls.length = 0;
+
+        state.openings.splice(0, 1);
+        await writer.save(state);
+        expect(calls).toEqual([["deleteOpening", italian.id], ["writeValue", APP_RECORD_KEY]]);
+    });
+
+    it("keeps the last viewed path in the app record, not in the opening", async () => {
+        const { adapter, calls } = spyAdapter(createMemoryAdapter());
+        const writer = createStateWriter(adapter);
+        const state = twoOpenings();
+        const [italian] = state.openings;
+        italian.root.children.push(createNode({ from: "e2", to: "e4" }));
+        await writer.save(state);
+
+        calls.length = 0;
+        italian.lastPath = [{ from: "e2", to: "e4" }];
+        const res = await writer.save(state);
+
+        expect(res.written).toEqual([]);
+        expect(calls).toEqual([["writeValue", APP_RECORD_KEY]]);
+        expect((await adapter.readOpening(italian.id)).lastPath).toBeUndefined();
+        expect((await loadFromAdapter(adapter)).state.openings[0].lastPath).toEqual([{ from: "e2", to: "e4" }]);
+    });
+
+    it("retries a failed write on the next save", async () => {
+        const memory = createMemoryAdapter();
+        let fail = true;
+        const adapter = {
+            ...memory,
+            writeOpening: async (o) => {
+                if (fail) throw new Error("quota");
+                return memory.writeOpening(o);
+            },
+        };
+
+        const writer = createStateWriter(adapter);
+        const state = twoOpenings();
+
+        await expect(writer.save(state)).rejects.toThrow("quota");
+
+        fail = false;
+        await writer.save(state);
+        expect(await memory.readOpenings()).toHaveLength(2);
+    });
+});
+
+describe("loadFromAdapter", () => {
+    it("roundtrips what the writer stored, in order and with the active opening", async () => {
+        const adapter = createMemoryAdapter();
+        const state = twoOpenings();
+        await createStateWriter(adapter).save(state);
+
+        const res = await loadFromAdapter(adapter);
+
+        expect(res.ok).toBe(true);
+        expect(res.state.openings.map((o) => o.name)).toEqual(["Italian", "Caro-Kann"]);
+        expect(res.state.activeOpeningId).toBe(state.activeOpeningId);
+    });
+
+    it("imports the old single-key localStorage payload on first run", async () => {
+        const adapter = createMemoryAdapter();
+        const legacyStorage = makeMemoryStorage();
+        saveToStorage(twoOpenings(), legacyStorage, "legacy");
+
+        const res = await loadFromAdapter(adapter, { legacyStorage, legacyKey: "legacy" });
+
+        expect(res).toMatchObject({ ok: true, importedLegacy: true });
+        expect(await adapter.readOpenings()).toHaveLength(2);
+        expect(legacyStorage.getItem("legacy")).not.toBe(null);
+
+        // second start reads the adapter, not localStorage again
+        expect((await loadFromAdapter(adapter, { legacyStorage, legacyKey: "legacy" })).importedLegacy).toBe(false);
+    });
+
+    it("skips broken openings, reports them and leaves them in storage", async () => {
+        const adapter = createMemoryAdapter();
+        const state = twoOpenings();
+        await createStateWriter(adapter).save(state);
+        await adapter.writeOpening({ id: "broken", name: "Broken" });
+
+        const res = await loadFromAdapter(adapter);
+        expect(res.state.openings).toHaveLength(2);
+        expect(res.errors).toMatchObject([{ id: "broken", name: "Broken" }]);
+
+        await createStateWriter(adapter, res.state).save(res.state);
+        expect((await adapter.readOpenings()).map((o) => o.id)).toContain("broken");
+    });
+
+    it("migrates old records, keeps a backup and writes them back", async () => {
+        const adapter = createMemoryAdapter();
+        const o = createOpening({ name: "Italian", trainAs: "white" });
+        o.root.children.push(createNode({ from: "e2", to: "e4" }));
+        const v1 = serializeOpening(o);
+        delete v1.root.children[0].review;
+
+        await adapter.writeOpening(v1);
+        await adapter.writeValue(APP_RECORD_KEY, { schemaVersion: 1, activeOpeningId: o.id, order: [o.id] });
+
+        const res = await loadFromAdapter(adapter);
+
+        expect(res.migratedFrom).toBe(1);
+        expect(res.state.openings[0].root.children[0].review).toBeDefined();
+        expect((await adapter.readValue("backup.v1")).openings).toEqual([v1]);
+        expect((await adapter.readValue(APP_RECORD_KEY)).schemaVersion).toBe(SCHEMA_VERSION);
+    });
+
+    it("reports unreadable data instead of throwing", async () => {
+        const adapter = createMemoryAdapter();
+        await adapter.writeValue(APP_RECORD_KEY, { schemaVersion: 99 });
+
+        const res = await loadFromAdapter(adapter);
+        expect(res).toMatchObject({ ok: false, reason: "unreadable" });
+        expect(res.state.openings).toEqual([]);
+
+        const failing = { ...createMemoryAdapter(), readValue: async () => { throw new Error("read failed"); } };
+        expect(await loadFromAdapter(failing)).toMatchObject({ ok: false, reason: "unreadable", error: "read failed" });
+    });
+
+    it("writes nothing back when the backup before a migration fails", async () => {
+        const adapter = createMemoryAdapter();
+        const o = createOpening({ name: "Italian", trainAs: "white" });
+        const v1 = serializeOpening(o);
+        await adapter.writeOpening(v1);
+        await adapter.writeValue(APP_RECORD_KEY, { schemaVersion: 1, activeOpeningId: o.id, order: [o.id] });
+
+        const full = { ...adapter, writeValue: async () => { throw new Error("quota"); } };
+        const res = await loadFromAdapter(full);
+
+        expect(res).toMatchObject({ ok: false, reason: "backup-failed", error: "quota" });
+        expect(res.state.openings.map((x) => x.name)).toEqual(["Italian"]);
+        expect(await adapter.readOpenings()).toEqual([v1]);
+        expect((await adapter.readValue(APP_RECORD_KEY)).schemaVersion).toBe(1);
+    });
+});
+
+describe("two tabs on one adapter", () => {
+    async function openTwoTabs() {
+        const adapter = createMemoryAdapter();
+        await createStateWriter(adapter).save(twoOpenings());
+
+        const open = async () => {
+            const loaded = await loadFromAdapter(adapter);
+            return { state: loaded.state, writer: createStateWriter(adapter, loaded.state, loaded.revisions) };
+        };
+        return { adapter, a: await open(), b: await open() };
+    }
+
+    const e4 = () => createNode({ from: "e2", to: "e4" });
+    const d4 = () => createNode({ from: "d2", to: "d4" });
+
+    it("reloads openings the other tab wrote", async () => {
+        const { adapter, a, b } = await openTwoTabs();
+        a.state.openings[0].root.children.push(e4());
+        const { written } = await a.writer.save(a.state, { changed: [a.state.openings[0].id] });
+        b.state.openings[0].lastPath = [{ from: "d2", to: "d4" }];
+
+        const res = await applyRemoteChanges(adapter, b.writer, b.state, { ids: written });
+
+        expect(res.reloaded).toEqual(written);
+        expect(b.state.openings[0].root.children[0].move).toEqual({ from: "e2", to: "e4" });
+        expect(b.writer.isDirty(b.state.openings[0])).toBe(false);
+        expect(b.state.openings[0].lastPath).toEqual([{ from: "d2", to: "d4" }]); // stays per tab
+
+        // its own echo is ignored
+        expect((await applyRemoteChanges(adapter, a.writer, a.state, { ids: written })).reloaded).toEqual([]);
+    });
+
+    it("refuses to overwrite a concurrent edit and reports the conflict", async () => {
+        const { adapter, a, b } = await openTwoTabs();
+        const id = a.state.openings[0].id;
+        a.state.openings[0].root.children.push(e4());
+        await a.writer.save(a.state, { changed: [id] });
+
+        b.state.openings[0].root.children.push(d4());
+        const res = await b.writer.save(b.state, { changed: [id] });
+
+        expect(res.written).toEqual([]);
+        expect(res.conflicts.map((c) => c.id)).toEqual([b.state.openings[0].id]);
+        expect((await adapter.readOpening(b.state.openings[0].id)).root.children[0].move.to).toBe("e4");
+
+        // still unsaved: the incoming change is a conflict too, not a silent reload
+        const remote = await applyRemoteChanges(adapter, b.writer, b.state, { ids: [b.state.openings[0].id] });
+        expect(remote.conflicts).toEqual([b.state.openings[0].id]);
+    });
+
+    it("resolves a conflict by forcing the local version or loading the other one", async () => {
+        const { adapter, a, b } = await openTwoTabs();
+        const id = a.state.openings[0].id;
+        a.state.openings[0].root.children.push(e4());
+        await a.writer.save(a.state, { changed: [id] });
+        b.state.openings[0].root.children.push(d4());
+        await b.writer.save(b.state, { changed: [id] });
+
+        const forced = await b.writer.save(b.state, { force: [id] });
+        expect(forced.written).toEqual([id]);
+        expect((await adapter.readOpening(id)).root.children[0].move.to).toBe("d4");
+
+        a.state.openings[0].root.children.push(createNode({ from: "c2", to: "c4" }));
+        await applyRemoteChanges(adapter, a.writer, a.state, { ids: [id], discardLocal: true });
+        expect(a.state.openings[0].root.children.map((c) => c.move.to)).toEqual(["d4"]);
+    });
+
+    it("drops openings deleted in the other tab", async () => {
+        const { adapter, a, b } = await openTwoTabs();
+        const id = a.state.openings[0].id;
+        a.state.openings.splice(0, 1);
+        const { removed } = await a.writer.save(a.state);
+
+        const res = await applyRemoteChanges(adapter, b.writer, b.state, { removed });
+        expect(res.removed).toEqual([id]);
+        expect(b.state.openings).toHaveLength(1);
+    });
+});
+
+describe("createLocalStorageAdapter", () => {
+    it("stores one key per opening", async () => {
+        const storage = makeMemoryStorage();
+        const adapter = createLocalStorageAdapter(storage, "bl");
+        const state = twoOpenings();
+
+        await createStateWriter(adapter).save(state);
+
+        expect(storage.getItem(`bl.opening.${state.openings[0].id}`)).toContain("Italian");
+        expect((await loadFromAdapter(adapter)).state.openings).toHaveLength(2);
+    });
+
+    it("reports a record that is no valid JSON and loads the others", async () => {
+        const storage = makeMemoryStorage();
+        const adapter = createLocalStorageAdapter(storage, "bl");
+        await createStateWriter(adapter).save(twoOpenings());
+        storage.setItem("bl.opening.broken", "{not json");
+
+        const res = await loadFromAdapter(adapter);
+
+        expect(res.ok).toBe(true);
+        expect(res.state.openings).toHaveLength(2);
+        expect(res.errors).toMatchObject([{ id: "broken", name: null }]);
+        expect(storage.getItem("bl.opening.broken")).toBe("{not json");
+    });
+});
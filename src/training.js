@@ -4,12 +4,13 @@
 // from the mainline, reject unexpected moves (no mutation), and auto-play the
 // opponent's expected move (from the mainline) after a correct user move.
 
-import { isUsersTurn, sameMove, expectedMove } from "./core.js";
+import { isUsersTurn, sameMove, expectedMove, moveToUci } from "./core.js";
 
 /**
  * handleTrainingMove
  * - args: object with current mainline snapshot and callbacks
- *   { fullLine, viewPly, studyColor, makeMove, setGameToPly }
+ *   { fullLine, viewPly, studyColor, makeMove, setGameToPly, firstToMove? }
+ *   (firstToMove: side to move at ply 0, "white" unless the line starts from a FEN)
  * - moveObj: { from, to, promotion? }
  *
  * Returns the result of makeMove (truthy) for the user's move on success,
@@ -20,8 +21,8 @@ import { isUsersTurn, sameMove, expectedMove } from "./core.js";
  * fullLine/viewPly snapshot to decide expected moves (training uses the masterline
  * only, so that is sufficient).
  */
-export function handleTrainingMove({ fullLine, viewPly, studyColor, makeMove, setGameToPly }, moveObj) {
-    const userTurn = isUsersTurn(studyColor, viewPly);
+export function handleTrainingMove({ fullLine, viewPly, studyColor, makeMove, setGameToPly, firstToMove = "white" }, moveObj) {
+    const userTurn = isUsersTurn(studyColor, viewPly, firstToMove);
     const expected = expectedMove(fullLine, viewPly);
 
     if (!userTurn) {
@@ -74,3 +75,209 @@ export function handleTrainingMove({ fullLine, viewPly, studyColor, makeMove, se
     try { setGameToPly(viewPly); } catch (e) {}
     return null;
 }
+
+// ------------------------------------------------------------
+// Opponent replies (tree training)
+// ------------------------------------------------------------
+
+/**
+ * How the opponent chooses among several prepared replies:
+ * - "due": follow the line with the most due user moves (spaced repetition)
+ * - "uniform": any prepared reply with equal probability
+ * - "weighted": proportional to node.weight (default 1)
+ * - "least-recent": the reply trained longest ago (node.lastTrained), never trained first
+ */
+export const OPPONENT_POLICIES = ["due", "uniform", "weighted", "least-recent"];
+export const DEFAULT_OPPONENT_POLICY = "due";
+
+export function normalizeOpponentPolicy(policy) {
+    return OPPONENT_POLICIES.includes(policy) ? policy : DEFAULT_OPPONENT_POLICY;
+}
+
+/**
+ * Frequency weight of a node; missing or invalid weights count as 1.
+ */
+export function nodeWeight(node) {
+    const w = Number(node?.weight);
+    return Number.isFinite(w) && w >= 0 ? w : 1;
+}
+
+/**
+ * Pick the opponent's reply among `children` (tree nodes) by policy.
+ * "due" needs the scheduler and is resolved by the caller; here it falls back to the main line.
+ * - random: injectable for tests, returns [0, 1)
+ *
+ * Returns a child node or null if there are none.
+ */
+export function pickOpponentReply(children, policy, { random = Math.random } = {}) {
+    if (!children || children.length === 0) return null;
+
+    switch (policy) {
+        case "uniform":
+            return children[Math.floor(random() * children.length)];
+
+        case "weighted": {
+            const total = children.reduce((sum, c) => sum + nodeWeight(c), 0);
+            if (total <= 0) return children[Math.floor(random() * children.length)];
+
+            let r = random() * total;
+            for (const c of children) {
+                r -= nodeWeight(c);
+                if (r < 0) return c;
+            }
+            return children[children.length - 1];
+        }
+
+        case "least-recent": {
+            let best = children[0];
+            for (const c of children) {
+                if ((c.lastTrained ?? -Infinity) < (best.lastTrained ?? -Infinity)) best = c;
+            }
+            return best;
+        }
+
+        default:
+            return children[0];
+    }
+}
+
+// ------------------------------------------------------------
+// Hints
+// ------------------------------------------------------------
+
+/**
+ * Graduated hints for the expected move: 1 = piece to move, 2 = + destination square,
+ * 3 = the move as an arrow. A hinted answer is only partially correct (graded "hard").
+ */
+export const MAX_HINT_LEVEL = 3;
+
+/**
+ * Chessground drawable shapes for a hint level (empty for level 0 or no move).
+ */
+export function hintShapes(move, level) {
+    if (!move || level <= 0) return [];
+    if (level >= MAX_HINT_LEVEL) return [{ orig: move.from, dest: move.to, brush: "green" }];
+
+    const shapes = [{ orig: move.from, brush: "yellow" }];
+    if (level >= 2) shapes.push({ orig: move.to, brush: "yellow" });
+    return shapes;
+}
+
+// ------------------------------------------------------------
+// Line cards (training sessions)
+// ------------------------------------------------------------
+
+/**
+ * A training session is a series of cards; each card is one line from the start
+ * node to a leaf, drilled with handleTrainingMove on the card's move list.
+ * The session ends after `maxCards` cards (or earlier if the caller runs out of lines).
+ */
+export const DEFAULT_SESSION_CARDS = 10;
+
+export function createTrainingSession({ maxCards = DEFAULT_SESSION_CARDS } = {}) {
+    return { maxCards, cards: [], current: null };
+}
+
+/**
+ * Plan the rest of a card below `node` (at `depth`), down to a leaf.
+ * - isUserDepth(depth): true if the node at that depth is a trainee move
+ * - preferredLine(node, depth): scheduler's line below a node (array of nodes, [] at a leaf)
+ * - policy / random: opponent replies as in pickOpponentReply; "due" keeps the scheduler's choice
+ *
+ * Returns the nodes below `node` (node itself excluded).
+ */
+export function planCardLine(node, depth, { isUserDepth, preferredLine, policy = DEFAULT_OPPONENT_POLICY, random = Math.random }) {
+    const out = [];
+    let planned = preferredLine(node, depth) ?? [];
+    let cur = node;
+    let d = depth;
+
+    while (cur.children.length > 0) {
+        let next = planned[0] ?? cur.children[0];
+
+        if (!isUserDepth(d + 1) && policy !== "due") {
+            const reply = pickOpponentReply(cur.children, policy, { random });
+            if (reply !== next) {
+                next = reply;
+                planned = [reply, ...(preferredLine(reply, d + 1) ?? [])];
+            }
+        }
+
+        out.push(next);
+        planned = planned[0] === next ? planned.slice(1) : preferredLine(next, d + 1) ?? [];
+        cur = next;
+        d++;
+    }
+
+    return out;
+}
+
+/**
+ * Begin a card; `line` is the move list root..leaf the trainee has to play through.
+ */
+export function startCard(session, line, now = Date.now()) {
+    session.current = { line: line.slice(), errors: [], hints: 0, startedAt: now };
+    return session.current;
+}
+
+/**
+ * Replace the rest of the running card's line after it was planned again (the trainee
+ * played another prepared move or transposed).
+ */
+export function updateCardLine(session, line) {
+    if (session.current) session.current.line = line.slice();
+}
+
+/**
+ * Note a wrong answer (ply = index of the expected move in the card line). The position
+ * and the expected move are kept with the error, as the line may be planned again later.
+ */
+export function recordCardError(session, ply, played) {
+    const card = session.current;
+    if (!card) return;
+    card.errors.push({ ply, played, line: card.line.slice(0, ply), expected: card.line[ply] ?? null });
+}
+
+export function recordCardHint(session) {
+    if (session.current) session.current.hints++;
+}
+
+/**
+ * Close the current card at its leaf. A card succeeds without errors and hints.
+ * Returns { success, card, sessionOver } or null if no card is running.
+ */
+export function finishCard(session, now = Date.now()) {
+    const card = session.current;
+    if (!card) return null;
+
+    const done = { ...card, success: card.errors.length === 0 && card.hints === 0, finishedAt: now };
+    session.cards.push(done);
+    session.current = null;
+
+    return { success: done.success, card: done, sessionOver: session.cards.length >= session.maxCards };
+}
+
+/**
+ * Summary of a session:
+ * { lines, succeeded, failed, errors, toReview: [{ line, expected }] }
+ * - toReview: each position answered wrongly (line = moves before it), once
+ */
+export function summarizeSession(session) {
+    const seen = new Set();
+    const toReview = [];
+    let errors = 0;
+
+    for (const card of session.cards) {
+        errors += card.errors.length;
+        for (const { line, expected } of card.errors) {
+            const key = line.map(moveToUci).join(" ");
+            if (seen.has(key)) continue;
+
+            seen.add(key);
+            toReview.push({ line, expected });
+        }
+    }
+
+    const succeeded = session.cards.filter((c) => c.success).length;
+    return { lines: session.cards.length, succeeded, failed: session.cards.length - succeeded, errors, toReview };
+}
@@ -0,0 +1,192 @@
+// src/training.test.js
+import { describe, it, expect } from "vitest";
+import {
+    pickOpponentReply,
+    nodeWeight,
+    normalizeOpponentPolicy,
+    hintShapes,
+    handleTrainingMove,
+    createTrainingSession,
+    planCardLine,
+    startCard,
+    recordCardError,
+    updateCardLine,
+    recordCardHint,
+    finishCard,
+    summarizeSession,
+} from "./training.js";
+import { createNode } from "./tree.js";
+
+function replies() {
+    return [
+        createNode({ from: "e7", to: "e5" }),
+        createNode({ from: "c7", to: "c5" }),
+        createNode({ from: "c7", to: "c6" }),
+    ];
+}
+
+describe("pickOpponentReply", () => {
+    it("returns null without children", () => {
+        expect(pickOpponentReply([], "uniform")).toBe(null);
+    });
+
+    it("uniform maps the random number onto the children", () => {
+        const children = replies();
+        expect(pickOpponentReply(children, "uniform", { random: () => 0 })).toBe(children[0]);
+        expect(pickOpponentReply(children, "uniform", { random: () => 0.5 })).toBe(children[1]);
+        expect(pickOpponentReply(children, "uniform", { random: () => 0.99 })).toBe(children[2]);
+    });
+
+    it("weighted respects node weights", () => {
+        const children = replies();
+        children[0].weight = 0;
+        children[1].weight = 3;
+        children[2].weight = 1;
+
+        // total 4: [0,3) -> c5, [3,4) -> c6, e5 never
+        expect(pickOpponentReply(children, "weighted", { random: () => 0 })).toBe(children[1]);
+        expect(pickOpponentReply(children, "weighted", { random: () => 0.7 })).toBe(children[1]);
+        expect(pickOpponentReply(children, "weighted", { random: () => 0.8 })).toBe(children[2]);
+    });
+
+    it("weighted falls back to uniform when all weights are zero", () => {
+        const children = replies();
+        for (const c of children) c.weight = 0;
+        expect(pickOpponentReply(children, "weighted", { random: () => 0.5 })).toBe(children[1]);
+    });
+
+    it("least-recent prefers never trained, then the oldest", () => {
+        const children = replies();
+        children[0].lastTrained = 200;
+        children[1].lastTrained = 100;
+        expect(pickOpponentReply(children, "least-recent")).toBe(children[2]);
+
+        children[2].lastTrained = 300;
+        expect(pickOpponentReply(children, "least-recent")).toBe(children[1]);
+    });
+
+    it("unknown policies fall back to the main line", () => {
+        const children = replies();
+        expect(pickOpponentReply(children, "due")).toBe(children[0]);
+    });
+});
+
+describe("policy helpers", () => {
+    it("nodeWeight defaults to 1 for missing or invalid weights", () => {
+        expect(nodeWeight(createNode({ from: "e2", to: "e4" }))).toBe(1);
+        expect(nodeWeight({ weight: -2 })).toBe(1);
+        expect(nodeWeight({ weight: "3" })).toBe(3);
+    });
+
+    it("normalizeOpponentPolicy falls back to due", () => {
+        expect(normalizeOpponentPolicy("weighted")).toBe("weighted");
+        expect(normalizeOpponentPolicy("nope")).toBe("due");
+        expect(normalizeOpponentPolicy(undefined)).toBe("due");
+    });
+});
+
+describe("hintShapes", () => {
+    const move = { from: "g1", to: "f3" };
+
+    it("reveals the piece, then the destination, then the move as an arrow", () => {
+        expect(hintShapes(move, 0)).toEqual([]);
+        expect(hintShapes(move, 1)).toEqual([{ orig: "g1", brush: "yellow" }]);
+        expect(hintShapes(move, 2)).toEqual([{ orig: "g1", brush: "yellow" }, { orig: "f3", brush: "yellow" }]);
+        expect(hintShapes(move, 3)).toEqual([{ orig: "g1", dest: "f3", brush: "green" }]);
+    });
+
+    it("has nothing to show without an expected move", () => {
+        expect(hintShapes(null, 2)).toEqual([]);
+    });
+});
+
+describe("line cards", () => {
+    // 1.e4 e5 (1...c5) 2.Nf3, trained as white
+    function tree() {
+        const root = createNode(null);
+        const e4 = createNode({ from: "e2", to: "e4" });
+        const e5 = createNode({ from: "e7", to: "e5" });
+        const c5 = createNode({ from: "c7", to: "c5" });
+        e5.children.push(createNode({ from: "g1", to: "f3" }));
+        e4.children.push(e5, c5);
+        root.children.push(e4);
+        return root;
+    }
+
+    const isUserDepth = (depth) => depth % 2 === 1;
+    const mainLine = (node) => {
+        const nodes = [];
+        for (let n = node.children[0]; n; n = n.children[0]) nodes.push(n);
+        return nodes;
+    };
+
+    it("plans a card to a leaf, following the opponent policy", () => {
+        const root = tree();
+
+        const due = planCardLine(root, 0, { isUserDepth, preferredLine: mainLine, policy: "due" });
+        expect(due.map((n) => n.move.to)).toEqual(["e4", "e5", "f3"]);
+
+        const uniform = planCardLine(root, 0, { isUserDepth, preferredLine: mainLine, policy: "uniform", random: () => 0.99 });
+        expect(uniform.map((n) => n.move.to)).toEqual(["e4", "c5"]);
+    });
+
+    it("drives a card with handleTrainingMove and summarizes the session", () => {
+        const root = tree();
+        const session = createTrainingSession({ maxCards: 2 });
+        const line = planCardLine(root, 0, { isUserDepth, preferredLine: mainLine, policy: "due" }).map((n) => n.move);
+        startCard(session, line);
+
+        let ply = 0;
+        const args = () => ({
+            fullLine: line,
+            viewPly: ply,
+            studyColor: "white",
+            makeMove: () => null,
+            setGameToPly: (p) => { ply = p; },
+        });
+
+        expect(handleTrainingMove(args(), { from: "d2", to: "d4" })).toBe(null);
+        recordCardError(session, ply, { from: "d2", to: "d4" });
+
+        expect(handleTrainingMove(args(), { from: "e2", to: "e4" })).toBe(true);
+        expect(ply).toBe(2);
+        expect(handleTrainingMove(args(), { from: "g1", to: "f3" })).toBe(true);
+        expect(ply).toBe(3);
+
+        expect(finishCard(session)).toMatchObject({ success: false, sessionOver: false });
+
+        startCard(session, line);
+        recordCardHint(session);
+        expect(finishCard(session)).toMatchObject({ success: false, sessionOver: true });
+
+        startCard(session, line.slice(0, 2));
+        expect(finishCard(session).sessionOver).toBe(true);
+
+        expect(summarizeSession(session)).toEqual({
+            lines: 3,
+            succeeded: 1,
+            failed: 2,
+            errors: 1,
+            toReview: [{ line: [], expected: { from: "e2", to: "e4" } }],
+        });
+    });
+
+    it("keeps the position of an error when the card line is planned again", () => {
+        const e4 = { from: "e2", to: "e4" };
+        const d4 = { from: "d2", to: "d4" };
+        const d5 = { from: "d7", to: "d5" };
+        const session = createTrainingSession();
+        startCard(session, [e4, { from: "e7", to: "e5" }]);
+
+        // wrong first, then another prepared move: the rest of the card follows 1.d4
+        recordCardError(session, 0, { from: "g1", to: "f3" });
+        updateCardLine(session, [d4, d5, { from: "c2", to: "c4" }]);
+        recordCardError(session, 2, { from: "b1", to: "c3" });
+        finishCard(session);
+
+        expect(summarizeSession(session).toReview).toEqual([
+            { line: [], expected: e4 },
+            { line: [d4, d5], expected: { from: "c2", to: "c4" } },
+        ]);
+    });
+});
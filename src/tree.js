@@ -1,6 +1,14 @@
+import { DEFAULT_POSITION, validateFen } from "chess.js";
+import { migrateAppState } from "./migrations.js";
+import { normalizeOpponentPolicy } from "./training.js";
+import { normalizeAnnotations } from "./annotations.js";
+import { normalizeTrainingLog } from "./stats.js";
+
 // Node-Helpers ------------------------------------------------
 
-export const SCHEMA_VERSION = 1;
+// v2: user-side nodes carry spaced-repetition review state (node.review)
+// Bumping this needs a matching entry in MIGRATIONS (src/migrations.js).
+export const SCHEMA_VERSION = 2;
 
 export function createRoot() {
     return {
@@ -9,11 +17,18 @@ export function createRoot() {
     };
 }
 
-export function createNode(move) {
-    return {
+/**
+ * Optional annotations ({ comment, nags, shapes }, see annotations.js) are only
+ * stored when non-empty.
+ */
+export function createNode(move, { comment, nags, shapes } = {}) {
+    return normalizeAnnotations({
         move,            // { from, to, promotion? }
         children: [],
-    };
+        comment,
+        nags,
+        shapes,
+    });
 }
 
 export function sameMove(a, b) {
@@ -67,6 +82,17 @@ export function goForwardIfExists(session, moveObj) {
     return { ok: true, node: next };
 }
 
+/**
+ * Follow the child at `index` (0 = main line).
+ */
+export function goForwardToChild(session, index = 0) {
+    const next = currentNode(session).children[index] ?? null;
+    if (!next) return { ok: false, reason: "no-such-child" };
+
+    session.path.push(next);
+    return { ok: true, node: next };
+}
+
 export function isExpectedMove(session, moveObj) {
     const cur = currentNode(session);
     return cur.children.some((c) => c.move && sameMove(c.move, moveObj));
@@ -76,6 +102,34 @@ export function resetSessionToRoot(session) {
     session.path = [session.root];
 }
 
+/**
+ * Session path (root..node) from child indices, e.g. [0, 1] = second child of the first child.
+ * Returns null if an index does not exist.
+ */
+export function pathFromIndices(root, indices) {
+    const path = [root];
+    for (const i of indices) {
+        const next = path[path.length - 1].children[i];
+        if (!next) return null;
+        path.push(next);
+    }
+    return path;
+}
+
+/**
+ * Session path (root..node) following `moves` as far as the tree has them
+ * (used to keep the position when a tree is replaced by a newer copy).
+ */
+export function pathFromMoves(root, moves) {
+    const path = [root];
+    for (const mv of moves) {
+        const next = path[path.length - 1].children.find((c) => sameMove(c.move, mv));
+        if (!next) break;
+        path.push(next);
+    }
+    return path;
+}
+
 
 // --- Edit (tree changes) ----------------------------------------
 
@@ -115,6 +169,113 @@ export function deleteCurrentAndGoParent(session) {
     return { ok: true };
 }
 
+// --- Variation order -------------------------------------------
+// The first child of a node is its main line (redo, export and training defaults).
+
+/**
+ * Move the current node by `delta` places among its siblings (-1 = up, +1 = down).
+ */
+export function moveVariation(session, delta) {
+    if (session.path.length <= 1) return { ok: false, reason: "at-root" };
+
+    const parent = session.path[session.path.length - 2];
+    const cur = session.path[session.path.length - 1];
+
+    const index = parent.children.indexOf(cur);
+    if (index === -1) return { ok: false, reason: "not-a-child" };
+
+    const target = index + delta;
+    if (target < 0) return { ok: false, reason: "already-first" };
+    if (target >= parent.children.length) return { ok: false, reason: "already-last" };
+
+    parent.children.splice(index, 1);
+    parent.children.splice(target, 0, cur);
+    return { ok: true, index: target };
+}
+
+/**
+ * Make the current node the first child (main line) of its parent.
+ */
+export function promoteVariation(session) {
+    if (session.path.length <= 1) return { ok: false, reason: "at-root" };
+
+    const parent = session.path[session.path.length - 2];
+    const index = parent.children.indexOf(currentNode(session));
+    if (index === 0) return { ok: false, reason: "already-first" };
+
+    return moveVariation(session, -index);
+}
+
+/**
+ * Make the whole path root..current the main line: every node on it becomes first child.
+ * Returns { ok, changed } with the number of reordered nodes.
+ */
+export function makeMainLine(session) {
+    if (session.path.length <= 1) return { ok: false, reason: "at-root" };
+
+    let changed = 0;
+    for (let i = 1; i < session.path.length; i++) {
+        const parent = session.path[i - 1];
+        const node = session.path[i];
+        const index = parent.children.indexOf(node);
+        if (index === -1) return { ok: false, reason: "not-a-child" };
+        if (index === 0) continue;
+
+        parent.children.splice(index, 1);
+        parent.children.unshift(node);
+        changed++;
+    }
+
+    return { ok: true, changed };
+}
+
+/**
+ * Number of nodes in the subtree starting at `node` (node included).
+ */
+export function countNodes(node) {
+    let n = 1;
+    for (const ch of node.children) n += countNodes(ch);
+    return n;
+}
+
+/**
+ * Delete the current node with everything below it and go to the parent.
+ * Returns { ok, removed, undo } where undo is the input for deletionCommand (edit history).
+ */
+export function deleteSubtreeAndGoParent(session) {
+    if (session.path.length <= 1) return { ok: false, reason: "at-root" };
+
+    const parent = session.path[session.path.length - 2];
+    const cur = session.path[session.path.length - 1];
+
+    const index = parent.children.indexOf(cur);
+    if (index === -1) return { ok: false, reason: "not-a-child" };
+
+    const undo = { parent, index, nodes: [cur], path: session.path.slice() };
+
+    parent.children.splice(index, 1);
+    session.path.pop();
+
+    return { ok: true, removed: countNodes(cur), undo };
+}
+
+/**
+ * Delete everything after the current move (all children of the current node).
+ * Returns { ok, removed, undo } where undo is the input for deletionCommand (edit history).
+ */
+export function deleteChildren(session) {
+    const cur = currentNode(session);
+    if (cur.children.length === 0) return { ok: false, reason: "no-children" };
+
+    const nodes = cur.children.slice();
+    const removed = nodes.reduce((sum, n) => sum + countNodes(n), 0);
+    const undo = { parent: cur, index: 0, nodes, path: session.path.slice() };
+
+    cur.children = [];
+
+    return { ok: true, removed, undo };
+}
+
 // ------------------------------------------------------------
 // Saving / Loading (App State)
 // ------------------------------------------------------------
@@ -127,20 +288,41 @@ export function makeId() {
 
 /**
  * Opening model:
- * { id, name, trainAs: "white"|"black", root }
+ * { id, name, trainAs: "white"|"black", opponentPolicy, startFen?, trainingLog?, root }
+ * - opponentPolicy: how train mode picks among prepared opponent replies (see OPPONENT_POLICIES)
+ * - startFen: position the root stands for; only stored if it is not the standard start position
+ * - trainingLog: answers given in train mode (see stats.js); only stored once there are any
  */
-export function createOpening({ name, trainAs }) {
+export function createOpening({ name, trainAs, opponentPolicy, startFen }) {
     if (!name?.trim()) throw new Error("createOpening: name required");
     if (trainAs !== "white" && trainAs !== "black") throw new Error("createOpening: invalid trainAs - no color or unsupported color");
 
+    const fen = normalizeStartFen(startFen);
+
     return {
         id: makeId(),
         name: name.trim(),
         trainAs,
+        opponentPolicy: normalizeOpponentPolicy(opponentPolicy),
+        ...(fen ? { startFen: fen } : {}),
         root: createRoot(),
     };
 }
 
+/**
+ * Validated start FEN, or null for "standard start position" (empty input included).
+ * Throws on an invalid FEN.
+ */
+export function normalizeStartFen(fen) {
+    const text = String(fen ?? "").trim().replace(/\s+/g, " ");
+    if (!text) return null;
+
+    const check = validateFen(text);
+    if (!check.ok) throw new Error(`invalid startFen: ${check.error}`);
+
+    return text === DEFAULT_POSITION ? null : text;
+}
+
 /**
  * AppState model:
  * { schemaVersion, openings: [], activeOpeningId: string|null }
@@ -155,7 +337,8 @@ export function createEmptyAppState() {
 
 /**
  * Tree serialization:
- * Currently the tree is plain JSON already. Keep these as a seam for future validation/migrations.
+ * Currently the tree is plain JSON already (annotations included). Keep these as a seam
+ * for future validation/migrations.
  */
 export function serializeTree(root) {
     return root;
@@ -173,6 +356,7 @@ export function deserializeTree(obj) {
 
 function normalizeTree(node) {
     if (!node.children) node.children = [];
+    normalizeAnnotations(node);
     for (const ch of node.children) {
         if (!ch.children) ch.children = [];
         normalizeTree(ch);
@@ -185,41 +369,44 @@ function normalizeTree(node) {
 export function serializeAppState(state) {
     const payload = {
         schemaVersion: SCHEMA_VERSION,
-        openings: state.openings.map((o) => ({
-            id: o.id,
-            name: o.name,
-            trainAs: o.trainAs,
-            lastPath: o.lastPath ?? [],
-            root: serializeTree(o.root),
-        })),
+        openings: state.openings.map(serializeOpening),
         activeOpeningId: state.activeOpeningId ?? null,
     };
 
     return JSON.stringify(payload);
 }
 
+/**
+ * Plain JSON object of one opening (as stored inside the app state payload).
+ */
+export function serializeOpening(o) {
+    return {
+        id: o.id,
+        name: o.name,
+        trainAs: o.trainAs,
+        opponentPolicy: normalizeOpponentPolicy(o.opponentPolicy),
+        ...(o.startFen ? { startFen: o.startFen } : {}),
+        ...(o.trainingLog?.length ? { trainingLog: o.trainingLog } : {}),
+        lastPath: o.lastPath ?? [],
+        root: serializeTree(o.root),
+    };
+}
+
 /**
  * Parse + validate app state from JSON string.
  */
 export function deserializeAppState(json) {
-    const obj = JSON.parse(json);
+    let obj = JSON.parse(json);
 
     if (!obj || typeof obj !== "object") throw new Error("deserializeAppState: invalid json");
-    if (obj.schemaVersion !== SCHEMA_VERSION) {
-        throw new Error(`deserializeAppState: unsupported schemaVersion ${obj.schemaVersion}`);
-    }
+
+    const migrated = migrateAppState(obj, SCHEMA_VERSION);
+    if (!migrated.ok) throw new Error(`deserializeAppState: ${migrated.error}`);
+    obj = migrated.value;
+
     if (!Array.isArray(obj.openings)) throw new Error("deserializeAppState: openings must be array");
 
-    const openings = obj.openings.map((o) => {
-        if (!o.id || !o.name || !o.trainAs) throw new Error("deserializeAppState: opening missing fields");
-        return {
-            id: String(o.id),
-            name: String(o.name),
-            trainAs: o.trainAs === "white" ? "white" : "black",
-            lastPath: Array.isArray(o.lastPath) ? o.lastPath : [],
-            root: deserializeTree(o.root),
-        };
-    });
+    const openings = obj.openings.map(deserializeOpening);
 
     const activeOpeningId = obj.activeOpeningId ?? null;
 
@@ -231,6 +418,25 @@ export function deserializeAppState(json) {
     return { schemaVersion: SCHEMA_VERSION, openings, activeOpeningId };
 }
 
+/**
+ * Validate one serialized opening (current schema version). Throws on invalid data.
+ */
+export function deserializeOpening(o) {
+    if (!o?.id || !o.name || !o.trainAs) throw new Error("deserializeOpening: opening missing fields");
+    const startFen = normalizeStartFen(o.startFen);
+    const trainingLog = normalizeTrainingLog(o.trainingLog);
+    return {
+        id: String(o.id),
+        name: String(o.name),
+        trainAs: o.trainAs === "white" ? "white" : "black",
+        opponentPolicy: normalizeOpponentPolicy(o.opponentPolicy),
+        ...(startFen ? { startFen } : {}),
+        ...(trainingLog.length ? { trainingLog } : {}),
+        lastPath: Array.isArray(o.lastPath) ? o.lastPath : [],
+        root: deserializeTree(o.root),
+    };
+}
+
 /**
  * Storage helpers (inject storage for tests)
  */
@@ -246,4 +452,269 @@ export function loadFromStorage(storage, key = DEFAULT_STORAGE_KEY) {
     const raw = storage.getItem(key);
     if (!raw) return createEmptyAppState();
     return deserializeAppState(raw);
-}
\ No newline at end of file
+}
+
+/**
+ * Startup variant of loadFromStorage that never throws on bad data.
+ * - payloads of an older schema version are migrated; their raw JSON is copied to
+ *   `${key}.backup.v<version>` first
+ * - unreadable or unmigratable data is backed up the same way and reported
+ *
+ * Returns { ok: true, state, migratedFrom: number|null, backupKey: string|null }
+ *      or { ok: false, reason: "unreadable", error, backupKey, state: empty state }
+ */
+export function loadAppState(storage, key = DEFAULT_STORAGE_KEY) {
+    if (!storage?.getItem) throw new Error("loadAppState: invalid storage");
+
+    const raw = storage.getItem(key);
+    if (!raw) return { ok: true, state: createEmptyAppState(), migratedFrom: null, backupKey: null };
+
+    const version = peekSchemaVersion(raw);
+    const backupKey = `${key}.backup.v${version ?? "unknown"}`;
+
+    if (version !== SCHEMA_VERSION) storage.setItem(backupKey, raw);
+
+    try {
+        const state = deserializeAppState(raw);
+        return {
+            ok: true,
+            state,
+            migratedFrom: version !== SCHEMA_VERSION ? version : null,
+            backupKey: version !== SCHEMA_VERSION ? backupKey : null,
+        };
+    } catch (e) {
+        if (version === SCHEMA_VERSION) storage.setItem(backupKey, raw);
+        return { ok: false, reason: "unreadable", error: e.message, backupKey, state: createEmptyAppState() };
+    }
+}
+
+function peekSchemaVersion(raw) {
+    try {
+        const version = JSON.parse(raw)?.schemaVersion;
+        return Number.isInteger(version) ? version : null;
+    } catch {
+        return null;
+    }
+}
+
+// --- Edit history (undo/redo of changes) ---------------------------
+//
+// Commands are plain JSON so the history can be persisted. Nodes are addressed by the
+// moves leading to them from the opening root (stable under reordering); removed or
+// replaced trees are stored as serialized copies.
+//   { type: "add-node", openingId, at, index, node }
+//   { type: "remove-nodes", openingId, at, index, nodes }
+//   { type: "reorder", openingId, changes: [{ at, before, after }] }   (before/after: child moves)
+//   { type: "replace-root", openingId, before, after }                 (imports)
+//   { type: "update-opening", openingId, before, after }               (e.g. { name, opponentPolicy })
+//   { type: "add-opening" | "remove-opening", index, opening }
+//   { type: "replace-all", before, after }                             ({ openings, activeOpeningId })
+// Tree commands may carry cursor: { before, after } (session moves) to restore the position.
+
+export const HISTORY_LIMIT = 100;
+
+export function createHistory() {
+    return { undo: [], redo: [] };
+}
+
+/**
+ * Record a command that was just applied. Clears the redo list.
+ */
+export function recordCommand(history, command) {
+    if (!command) return;
+    history.undo.push(command);
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+}
+
+/**
+ * Revert the last command on `state` (mutated).
+ * Returns { ok, command, focus: { openingId, moves } | null } or { ok: false, reason }.
+ * A command that no longer fits the data (e.g. changed in another tab) is dropped
+ * with reason "out-of-date".
+ */
+export function undoCommand(history, state) {
+    return step(history.undo, history.redo, state, true);
+}
+
+export function redoCommand(history, state) {
+    return step(history.redo, history.undo, state, false);
+}
+
+function step(from, to, state, undo) {
+    const command = from.pop();
+    if (!command) return { ok: false, reason: undo ? "nothing-to-undo" : "nothing-to-redo" };
+
+    if (!applyCommand(state, command, undo)) return { ok: false, reason: "out-of-date", command };
+
+    to.push(command);
+    const moves = command.cursor ? (undo ? command.cursor.before : command.cursor.after) : null;
+    return { ok: true, command, focus: command.openingId ? { openingId: command.openingId, moves } : null };
+}
+
+/**
+ * Moves from the root to the last node of a session path (command addresses).
+ */
+export function movesOfPath(path) {
+    return path.slice(1).map((node) => ({ ...node.move }));
+}
+
+/**
+ * Command for a node just created by addVariationAndGo (the session stands on it).
+ */
+export function addNodeCommand(openingId, session) {
+    const path = session.path;
+    const node = path[path.length - 1];
+    const parent = path[path.length - 2];
+    const at = movesOfPath(path.slice(0, -1));
+
+    return {
+        type: "add-node",
+        openingId,
+        at,
+        index: parent.children.indexOf(node),
+        node: clone(node),
+        cursor: { before: at, after: movesOfPath(path) },
+    };
+}
+
+/**
+ * Command for a deletion done by deleteSubtreeAndGoParent / deleteChildren (their `undo` record).
+ */
+export function deletionCommand(openingId, undo, session) {
+    return {
+        type: "remove-nodes",
+        openingId,
+        at: movesOfPath(undo.path.slice(0, undo.path.indexOf(undo.parent) + 1)),
+        index: undo.index,
+        nodes: clone(undo.nodes),
+        cursor: { before: movesOfPath(undo.path), after: movesOfPath(session.path) },
+    };
+}
+
+/**
+ * Child move order of every node on the session path (input for reorderCommand).
+ */
+export function childOrderSnapshot(session) {
+    return session.path.map((node, i) => ({
+        at: movesOfPath(session.path.slice(0, i + 1)),
+        order: node.children.map((c) => ({ ...c.move })),
+    }));
+}
+
+/**
+ * Reorder command from snapshots taken before and after a variation order change
+ * (null if nothing changed).
+ */
+export function reorderCommand(openingId, before, after, cursor = null) {
+    const changes = [];
+    before.forEach((b, i) => {
+        const a = after[i];
+        if (a && b.order.some((mv, j) => !sameMove(mv, a.order[j]))) {
+            changes.push({ at: b.at, before: b.order, after: a.order });
+        }
+    });
+
+    if (changes.length === 0) return null;
+    return { type: "reorder", openingId, changes, ...(cursor ? { cursor } : {}) };
+}
+
+function applyCommand(state, command, undo) {
+    const opening = command.openingId ? state.openings.find((o) => o.id === command.openingId) : null;
+    if (command.openingId && !opening) return false;
+
+    switch (command.type) {
+        case "add-node":
+            return undo
+                ? removeNodes(opening.root, command.at, command.index, [command.node])
+                : insertNodes(opening.root, command.at, command.index, [command.node]);
+
+        case "remove-nodes":
+            return undo
+                ? insertNodes(opening.root, command.at, command.index, command.nodes)
+                : removeNodes(opening.root, command.at, command.index, command.nodes);
+
+        case "reorder": {
+            const changes = undo ? command.changes.slice().reverse() : command.changes;
+            const nodes = changes.map((c) => nodeAt(opening.root, c.at));
+            if (nodes.some((n, i) => !n || !sameOrder(n.children, undo ? changes[i].after : changes[i].before))) {
+                return false;
+            }
+            nodes.forEach((n, i) => {
+                const order = undo ? changes[i].before : changes[i].after;
+                n.children = order.map((mv) => n.children.find((c) => sameMove(c.move, mv)));
+            });
+            return true;
+        }
+
+        case "replace-root":
+            opening.root = deserializeTree(clone(undo ? command.before : command.after));
+            return true;
+
+        case "update-opening":
+            Object.assign(opening, clone(undo ? command.before : command.after));
+            return true;
+
+        case "add-opening":
+        case "remove-opening": {
+            const adding = (command.type === "add-opening") !== undo;
+            if (adding) {
+                if (state.openings.some((o) => o.id === command.opening.id)) return false;
+                state.openings.splice(Math.min(command.index, state.openings.length), 0, deserializeOpening(clone(command.opening)));
+            } else {
+                const index = state.openings.findIndex((o) => o.id === command.opening.id);
+                if (index === -1) return false;
+                state.openings.splice(index, 1);
+                if (state.activeOpeningId === command.opening.id) state.activeOpeningId = state.openings[0]?.id ?? null;
+            }
+            return true;
+        }
+
+        case "replace-all": {
+            const snapshot = undo ? command.before : command.after;
+            state.openings = snapshot.openings.map((o) => deserializeOpening(clone(o)));
+            state.activeOpeningId = snapshot.activeOpeningId;
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
+
+function nodeAt(root, moves) {
+    let node = root;
+    for (const mv of moves) {
+        node = node.children.find((c) => sameMove(c.move, mv));
+        if (!node) return null;
+    }
+    return node;
+}
+
+function insertNodes(root, at, index, nodes) {
+    const parent = nodeAt(root, at);
+    if (!parent) return false;
+    if (nodes.some((n) => parent.children.some((c) => sameMove(c.move, n.move)))) return false;
+
+    parent.children.splice(Math.min(index, parent.children.length), 0, ...nodes.map((n) => deserializeTree(clone(n))));
+    return true;
+}
+
+function removeNodes(root, at, index, nodes) {
+    const parent = nodeAt(root, at);
+    if (!parent) return false;
+
+    const found = parent.children.slice(index, index + nodes.length);
+    if (found.length !== nodes.length || found.some((c, i) => !sameMove(c.move, nodes[i].move))) return false;
+
+    parent.children.splice(index, nodes.length);
+    return true;
+}
+
+function sameOrder(children, moves) {
+    return children.length === moves.length && children.every((c, i) => sameMove(c.move, moves[i]));
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
@@ -19,6 +19,23 @@ describe("study tree basics", () => {
     });
 });
 
+it("creates a node with annotations and drops empty ones", () => {
+    const node = createNode({ from: "e2", to: "e4" }, {
+        comment: "Best by test",
+        nags: [1],
+        shapes: [{ orig: "e4", brush: "green" }],
+    });
+
+    expect(node.comment).toBe("Best by test");
+    expect(node.nags).toEqual([1]);
+    expect(node.shapes).toEqual([{ orig: "e4", brush: "green" }]);
+
+    expect(createNode({ from: "e2", to: "e4" }, { comment: "", nags: [] })).toEqual({
+        move: { from: "e2", to: "e4" },
+        children: [],
+    });
+});
+
 import { buildTreeFromLine } from "./tree.js";
 
 it("builds a single-branch tree from a line", () => {
@@ -43,6 +60,7 @@ import {
     goForwardIfExists,
     addVariationAndGo,
     deleteCurrentAndGoParent,
+    goForwardToChild,
 } from "./tree.js";
 
 describe("tree session API", () => {
@@ -98,6 +116,22 @@ describe("tree session API", () => {
         expect(bad.reason).toBe("no-such-child");
     });
 
+    it("goForwardToChild follows the main line or a chosen variation", () => {
+        const root = createRoot();
+        const e4 = createNode({ from: "e2", to: "e4" });
+        const d4 = createNode({ from: "d2", to: "d4" });
+        root.children.push(e4, d4);
+
+        const session = createTreeSession(root);
+        expect(goForwardToChild(session).node).toBe(e4);
+
+        goBack(session);
+        expect(goForwardToChild(session, 1).node).toBe(d4);
+
+        expect(goForwardToChild(session)).toEqual({ ok: false, reason: "no-such-child" });
+        expect(currentNode(session)).toBe(d4);
+    });
+
     it("goBack pops one node, but refuses at root", () => {
         const session = createTreeSession();
         addVariationAndGo(session, { from: "e2", to: "e4" });
@@ -139,6 +173,154 @@ describe("tree session API", () => {
     });
 });
 
+import { countNodes, deleteSubtreeAndGoParent, deleteChildren } from "./tree.js";
+
+describe("subtree deletion", () => {
+    // 1.e4 e5 2.Nf3 Nc6 with 1...c5 as sideline
+    function sampleSession() {
+        const session = createTreeSession();
+        addVariationAndGo(session, { from: "e2", to: "e4" });
+        addVariationAndGo(session, { from: "e7", to: "e5" });
+        addVariationAndGo(session, { from: "g1", to: "f3" });
+        addVariationAndGo(session, { from: "b8", to: "c6" });
+        goBack(session);
+        goBack(session);
+        goBack(session);
+        addVariationAndGo(session, { from: "c7", to: "c5" });
+        goBack(session);
+        return session; // at e4
+    }
+
+    it("countNodes counts the node and all descendants", () => {
+        const session = sampleSession();
+        expect(countNodes(session.root)).toBe(6);
+        expect(countNodes(currentNode(session))).toBe(5);
+    });
+
+    it("deleteSubtreeAndGoParent removes a node with children", () => {
+        const session = sampleSession();
+        goForwardIfExists(session, { from: "e7", to: "e5" });
+
+        const res = deleteSubtreeAndGoParent(session);
+
+        expect(res.ok).toBe(true);
+        expect(res.removed).toBe(3);
+        expect(currentNode(session).move).toEqual({ from: "e2", to: "e4" });
+        expect(currentNode(session).children.map((c) => c.move.to)).toEqual(["c5"]);
+    });
+
+    it("deleteSubtreeAndGoParent refuses at root", () => {
+        const res = deleteSubtreeAndGoParent(createTreeSession());
+        expect(res).toEqual({ ok: false, reason: "at-root" });
+    });
+
+    it("deleteChildren removes everything after the current move", () => {
+        const session = sampleSession();
+        const e4 = currentNode(session);
+
+        const res = deleteChildren(session);
+
+        expect(res.ok).toBe(true);
+        expect(res.removed).toBe(4);
+        expect(e4.children).toEqual([]);
+        expect(currentNode(session)).toBe(e4);
+
+        expect(deleteChildren(session)).toEqual({ ok: false, reason: "no-children" });
+    });
+});
+
+import { moveVariation, promoteVariation, makeMainLine } from "./tree.js";
+
+describe("variation order", () => {
+    // root -> e4 | d4 | c4, and e4 -> e5 | c5
+    function sampleSession() {
+        const root = createRoot();
+        for (const to of ["e4", "d4", "c4"]) root.children.push(createNode({ from: `${to[0]}2`, to }));
+        const e4 = root.children[0];
+        e4.children.push(createNode({ from: "e7", to: "e5" }), createNode({ from: "c7", to: "c5" }));
+        return createTreeSession(root);
+    }
+
+    const order = (node) => node.children.map((c) => c.move.to);
+
+    it("moveVariation moves a child up and down", () => {
+        const session = sampleSession();
+        goForwardIfExists(session, { from: "d2", to: "d4" });
+
+        expect(moveVariation(session, +1)).toEqual({ ok: true, index: 2 });
+        expect(order(session.root)).toEqual(["e4", "c4", "d4"]);
+
+        expect(moveVariation(session, +1)).toEqual({ ok: false, reason: "already-last" });
+
+        moveVariation(session, -1);
+        moveVariation(session, -1);
+        expect(order(session.root)).toEqual(["d4", "e4", "c4"]);
+        expect(moveVariation(session, -1)).toEqual({ ok: false, reason: "already-first" });
+
+        // session still points at the moved node
+        expect(currentNode(session).move.to).toBe("d4");
+    });
+
+    it("promoteVariation makes the current node the main line", () => {
+        const session = sampleSession();
+        goForwardIfExists(session, { from: "c2", to: "c4" });
+
+        expect(promoteVariation(session).ok).toBe(true);
+        expect(order(session.root)).toEqual(["c4", "e4", "d4"]);
+        expect(promoteVariation(session)).toEqual({ ok: false, reason: "already-first" });
+    });
+
+    it("refuses to reorder the root", () => {
+        const session = sampleSession();
+        expect(promoteVariation(session).reason).toBe("at-root");
+        expect(moveVariation(session, 1).reason).toBe("at-root");
+        expect(makeMainLine(session).reason).toBe("at-root");
+    });
+
+    it("makeMainLine promotes every node on the path", () => {
+        const session = sampleSession();
+        const e4 = session.root.children[0];
+        session.root.children.reverse(); // c4, d4, e4
+
+        goForwardIfExists(session, { from: "e2", to: "e4" });
+        goForwardIfExists(session, { from: "c7", to: "c5" });
+
+        const res = makeMainLine(session);
+        expect(res).toEqual({ ok: true, changed: 2 });
+        expect(session.root.children[0]).toBe(e4);
+        expect(order(e4)).toEqual(["c5", "e5"]);
+
+        expect(makeMainLine(session)).toEqual({ ok: true, changed: 0 });
+    });
+});
+
+import { pathFromIndices, pathFromMoves } from "./tree.js";
+
+describe("pathFromIndices", () => {
+    it("resolves child indices into a session path", () => {
+        const root = createRoot();
+        const e4 = createNode({ from: "e2", to: "e4" });
+        const c5 = createNode({ from: "c7", to: "c5" });
+        root.children.push(createNode({ from: "d2", to: "d4" }), e4);
+        e4.children.push(c5);
+
+        expect(pathFromIndices(root, [])).toEqual([root]);
+        expect(pathFromIndices(root, [1, 0])).toEqual([root, e4, c5]);
+        expect(pathFromIndices(root, [1, 1])).toBe(null);
+    });
+
+    it("pathFromMoves follows moves as far as the tree has them", () => {
+        const root = buildTreeFromLine([
+            { from: "e2", to: "e4" },
+            { from: "e7", to: "e5" },
+        ]);
+        const [e4] = root.children;
+
+        expect(pathFromMoves(root, [{ from: "e2", to: "e4" }, { from: "c7", to: "c5" }])).toEqual([root, e4]);
+        expect(pathFromMoves(root, [])).toEqual([root]);
+    });
+});
+
 describe("isExpectedMove", () => {
     it("returns true if move exists as child of current node", () => {
         const root = createRoot();
@@ -195,6 +377,8 @@ import {
     deserializeAppState,
     saveToStorage,
     loadFromStorage,
+    loadAppState,
+    SCHEMA_VERSION,
 } from "./tree.js";
 
 function makeMemoryStorage() {
@@ -236,6 +420,62 @@ describe("app state serialization", () => {
         expect(root.children[0].children[0].move).toEqual({ from: "c7", to: "c6" });
     });
 
+    it("roundtrips the opponent policy and defaults it for older payloads", () => {
+        const o = createOpening({ name: "Sicilian", trainAs: "white", opponentPolicy: "weighted" });
+        const state = createEmptyAppState();
+        state.openings.push(o);
+
+        const parsed = deserializeAppState(serializeAppState(state));
+        expect(parsed.openings[0].opponentPolicy).toBe("weighted");
+
+        const raw = JSON.parse(serializeAppState(state));
+        delete raw.openings[0].opponentPolicy;
+        expect(deserializeAppState(JSON.stringify(raw)).openings[0].opponentPolicy).toBe("due");
+    });
+
+    it("stores a custom start FEN on the opening and roundtrips it", () => {
+        const fen = "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3";
+        const o = createOpening({ name: "After 2...Nc6", trainAs: "white", startFen: ` ${fen} ` });
+        expect(o.startFen).toBe(fen);
+
+        const state = createEmptyAppState();
+        state.openings.push(o, createOpening({ name: "Standard", trainAs: "white", startFen: "" }));
+
+        const parsed = deserializeAppState(serializeAppState(state));
+        expect(parsed.openings[0].startFen).toBe(fen);
+        expect(parsed.openings[1]).not.toHaveProperty("startFen");
+    });
+
+    it("roundtrips the training log and only stores it once there are entries", () => {
+        const o = createOpening({ name: "Logged", trainAs: "white" });
+        o.trainingLog = [{
+            line: [],
+            expected: { from: "e2", to: "e4" },
+            played: { from: "d2", to: "d4" },
+            correct: false,
+            at: 1000,
+            ms: 2500,
+        }];
+
+        const state = createEmptyAppState();
+        state.openings.push(o, createOpening({ name: "Fresh", trainAs: "white" }));
+
+        const parsed = deserializeAppState(serializeAppState(state));
+        expect(parsed.openings[0].trainingLog).toEqual(o.trainingLog);
+        expect(parsed.openings[1]).not.toHaveProperty("trainingLog");
+    });
+
+    it("createOpening rejects invalid FENs and drops the standard start position", () => {
+        expect(() => createOpening({ name: "Broken", trainAs: "white", startFen: "not a fen" })).toThrow(/startFen/);
+
+        const o = createOpening({
+            name: "Standard",
+            trainAs: "black",
+            startFen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+        });
+        expect(o).not.toHaveProperty("startFen");
+    });
+
     it("saveToStorage/loadFromStorage works", () => {
         const storage = makeMemoryStorage();
 
@@ -292,6 +532,90 @@ describe("new persistence helpers", () => {
         expect(() => deserializeAppState(bad)).toThrow(/schemaVersion/i);
     });
 
+    it("deserializeAppState migrates v1 payloads and adds review state to user-side nodes", () => {
+        const v1 = JSON.stringify({
+            schemaVersion: 1,
+            openings: [{
+                id: "o1",
+                name: "Caro-Kann",
+                trainAs: "black",
+                lastPath: [],
+                root: buildTreeFromLine([
+                    { from: "e2", to: "e4" },
+                    { from: "c7", to: "c6" },
+                ]),
+            }],
+            activeOpeningId: "o1",
+        });
+
+        const loaded = deserializeAppState(v1);
+        const e4 = loaded.openings[0].root.children[0];
+
+        expect(loaded.schemaVersion).toBe(2);
+        expect(e4.review).toBeUndefined();
+        expect(e4.children[0].review).toMatchObject({ interval: 0, due: null, lapses: 0 });
+    });
+
+    it("loadAppState migrates old payloads and keeps the raw JSON as backup", () => {
+        const storage = makeMemoryStorage();
+        const v1 = JSON.stringify({
+            schemaVersion: 1,
+            openings: [{ id: "o1", name: "Italian", trainAs: "white", root: createRoot() }],
+            activeOpeningId: "o1",
+        });
+        storage.setItem("k", v1);
+
+        const res = loadAppState(storage, "k");
+
+        expect(res).toMatchObject({ ok: true, migratedFrom: 1, backupKey: "k.backup.v1" });
+        expect(res.state.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(storage.getItem("k.backup.v1")).toBe(v1);
+        expect(storage.getItem("k")).toBe(v1);
+    });
+
+    it("loadAppState reports unreadable data instead of throwing", () => {
+        const storage = makeMemoryStorage();
+        storage.setItem("k", "{not json");
+
+        const res = loadAppState(storage, "k");
+
+        expect(res).toMatchObject({ ok: false, reason: "unreadable", backupKey: "k.backup.vunknown" });
+        expect(res.state.openings).toEqual([]);
+        expect(storage.getItem("k.backup.vunknown")).toBe("{not json");
+
+        storage.setItem("k", JSON.stringify({ schemaVersion: 99, openings: [] }));
+        expect(loadAppState(storage, "k")).toMatchObject({ ok: false, backupKey: "k.backup.v99" });
+    });
+
+    it("loadAppState leaves current payloads alone", () => {
+        const storage = makeMemoryStorage();
+        const state = createEmptyAppState();
+        state.openings.push(createOpening({ name: "Italian", trainAs: "white" }));
+        saveToStorage(state, storage, "k");
+
+        expect(loadAppState(storage, "k")).toMatchObject({ ok: true, migratedFrom: null, backupKey: null });
+        expect(Object.keys(storage._dump())).toEqual(["k"]);
+    });
+
+    it("annotations survive serializeAppState/deserializeAppState", () => {
+        const o = createOpening({ name: "Annotated", trainAs: "white" });
+        o.root.children.push(createNode({ from: "e2", to: "e4" }, {
+            comment: "Center",
+            nags: [3],
+            shapes: [{ orig: "e2", dest: "e4", brush: "blue" }],
+        }));
+
+        const state = createEmptyAppState();
+        state.openings.push(o);
+
+        const e4 = deserializeAppState(serializeAppState(state)).openings[0].root.children[0];
+        expect(e4).toMatchObject({
+            comment: "Center",
+            nags: [3],
+            shapes: [{ orig: "e2", dest: "e4", brush: "blue" }],
+        });
+    });
+
     it("deserializeAppState throws on invalid JSON", () => {
         expect(() => deserializeAppState("{not valid json")).toThrow();
     });
@@ -332,3 +656,156 @@ describe("new persistence helpers", () => {
         expect(loaded.activeOpeningId).toBe(o.id);
     });
 });
+
+import {
+    createHistory,
+    recordCommand,
+    undoCommand,
+    redoCommand,
+    addNodeCommand,
+    deletionCommand,
+    childOrderSnapshot,
+    reorderCommand,
+    serializeOpening,
+    serializeTree,
+    resetSessionToRoot,
+    HISTORY_LIMIT,
+} from "./tree.js";
+import { importPgnIntoTree, exportTreeToPgn } from "./pgn.js";
+
+describe("edit history", () => {
+    const e4 = { from: "e2", to: "e4" };
+    const e5 = { from: "e7", to: "e5" };
+    const c5 = { from: "c7", to: "c5" };
+    const nf3 = { from: "g1", to: "f3" };
+
+    function setup() {
+        const opening = createOpening({ name: "Open", trainAs: "white" });
+        const state = createEmptyAppState();
+        state.openings.push(opening);
+        state.activeOpeningId = opening.id;
+        return { state, opening, history: createHistory(), session: createTreeSession(opening.root) };
+    }
+
+    function addAndRecord({ opening, history, session }, move) {
+        const res = addVariationAndGo(session, move);
+        if (res.created) recordCommand(history, addNodeCommand(opening.id, session));
+    }
+
+    it("undoes and redoes created moves and reports where to go", () => {
+        const ctx = setup();
+        addAndRecord(ctx, e4);
+        addAndRecord(ctx, e5);
+
+        const undone = undoCommand(ctx.history, ctx.state);
+        expect(undone.ok).toBe(true);
+        expect(undone.focus).toEqual({ openingId: ctx.opening.id, moves: [e4] });
+        expect(ctx.opening.root.children[0].children).toEqual([]);
+
+        const redone = redoCommand(ctx.history, ctx.state);
+        expect(redone.focus.moves).toEqual([e4, e5]);
+        expect(ctx.opening.root.children[0].children[0].move).toEqual(e5);
+
+        expect(redoCommand(ctx.history, ctx.state)).toEqual({ ok: false, reason: "nothing-to-redo" });
+    });
+
+    it("undoes a subtree deletion at its old place and redoes it", () => {
+        const ctx = setup();
+        for (const line of [[e4, e5, nf3], [e4, c5]]) {
+            resetSessionToRoot(ctx.session);
+            for (const mv of line) addAndRecord(ctx, mv);
+        }
+
+        ctx.session.path = pathFromMoves(ctx.opening.root, [e4, e5]);
+        const res = deleteSubtreeAndGoParent(ctx.session);
+        recordCommand(ctx.history, deletionCommand(ctx.opening.id, res.undo, ctx.session));
+
+        expect(ctx.opening.root.children[0].children.map((c) => c.move)).toEqual([c5]);
+
+        const undone = undoCommand(ctx.history, ctx.state);
+        expect(undone.focus.moves).toEqual([e4, e5]);
+        expect(ctx.opening.root.children[0].children.map((c) => c.move)).toEqual([e5, c5]);
+        expect(ctx.opening.root.children[0].children[0].children[0].move).toEqual(nf3);
+
+        redoCommand(ctx.history, ctx.state);
+        expect(ctx.opening.root.children[0].children.map((c) => c.move)).toEqual([c5]);
+    });
+
+    it("undoes reorders on several levels", () => {
+        const ctx = setup();
+        importPgnIntoTree(ctx.opening.root, "1. e4 e5 (1... c5 2. Nf3 (2. Nc3) 2... d6) 2. Nf3 *");
+        ctx.session.path = pathFromMoves(ctx.opening.root, [e4, c5, { from: "b1", to: "c3" }]);
+
+        const before = childOrderSnapshot(ctx.session);
+        makeMainLine(ctx.session);
+        recordCommand(ctx.history, reorderCommand(ctx.opening.id, before, childOrderSnapshot(ctx.session)));
+
+        const exported = exportTreeToPgn(ctx.opening.root);
+        undoCommand(ctx.history, ctx.state);
+        expect(ctx.opening.root.children[0].children.map((c) => c.move)).toEqual([e5, c5]);
+        expect(ctx.opening.root.children[0].children[1].children[0].move).toEqual(nf3);
+
+        redoCommand(ctx.history, ctx.state);
+        expect(exportTreeToPgn(ctx.opening.root)).toBe(exported);
+    });
+
+    it("undoes renames, opening deletions and imports", () => {
+        const ctx = setup();
+        const other = createOpening({ name: "Other", trainAs: "black" });
+        ctx.state.openings.push(other);
+
+        recordCommand(ctx.history, {
+            type: "update-opening",
+            openingId: other.id,
+            before: { name: "Other" },
+            after: { name: "Renamed" },
+        });
+        other.name = "Renamed";
+
+        recordCommand(ctx.history, { type: "remove-opening", index: 1, opening: serializeOpening(other) });
+        ctx.state.openings.splice(1, 1);
+
+        const snapshot = JSON.parse(JSON.stringify(serializeTree(ctx.opening.root)));
+        importPgnIntoTree(ctx.opening.root, "1. d4 *");
+        recordCommand(ctx.history, {
+            type: "replace-root",
+            openingId: ctx.opening.id,
+            before: snapshot,
+            after: JSON.parse(JSON.stringify(ctx.opening.root)),
+        });
+
+        undoCommand(ctx.history, ctx.state);
+        expect(ctx.state.openings[0].root.children).toEqual([]);
+
+        undoCommand(ctx.history, ctx.state);
+        expect(ctx.state.openings.map((o) => o.name)).toEqual(["Open", "Renamed"]);
+
+        undoCommand(ctx.history, ctx.state);
+        expect(ctx.state.openings[1].name).toBe("Other");
+    });
+
+    it("survives a JSON round trip and drops commands that no longer fit", () => {
+        const ctx = setup();
+        addAndRecord(ctx, e4);
+        addAndRecord(ctx, e5);
+
+        const history = JSON.parse(JSON.stringify(ctx.history));
+        expect(undoCommand(history, ctx.state).ok).toBe(true);
+
+        // e4 got removed behind the history's back (e.g. in another tab)
+        ctx.opening.root.children = [];
+        expect(undoCommand(history, ctx.state).reason).toBe("out-of-date");
+        expect(history.undo).toEqual([]);
+    });
+
+    it("recording clears redo and keeps at most HISTORY_LIMIT commands", () => {
+        const history = createHistory();
+        history.redo.push({ type: "add-node" });
+
+        for (let i = 0; i < HISTORY_LIMIT + 5; i++) recordCommand(history, { type: "update-opening", i });
+
+        expect(history.redo).toEqual([]);
+        expect(history.undo).toHaveLength(HISTORY_LIMIT);
+        expect(history.undo[0].i).toBe(5);
+    });
+});